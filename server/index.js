@@ -0,0 +1,188 @@
+import { createServer } from "node:http";
+import { timingSafeEqual } from "node:crypto";
+import { readFile, writeFile, rename, mkdir, stat } from "node:fs/promises";
+import { dirname, extname, join, normalize, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// ═══════════════════════════════════════════════════════════════
+// CONFIG
+// ═══════════════════════════════════════════════════════════════
+// Serves the built SPA from dist/ plus a small REST API for a shared preset library:
+//   GET    /api/health           -> { ok: true }
+//   GET    /api/presets          -> [preset, ...]
+//   GET    /api/presets/:name    -> preset
+//   PUT    /api/presets/:name    -> saves (or replaces) the preset with that name
+//   DELETE /api/presets/:name
+// With PRESET_TOKEN set, PUT and DELETE need an "Authorization: Bearer <token>" header.
+// Presets are stored in one JSON file (PRESETS_FILE, default data/presets.json). Point it at a
+// mounted volume when deploying, or the library resets with each deploy.
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const DIST = join(ROOT, "dist");
+const PORT = Number(process.env.PORT) || 3000;
+const PRESETS_FILE = resolve(ROOT, process.env.PRESETS_FILE || "data/presets.json");
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// Set when the dashboard is hosted on another origin (see VITE_PRESET_API)
+const CORS_ORIGIN = process.env.CORS_ORIGIN || null;
+// Optional shared secret for changing the library; anyone who can reach the server can still read it
+const PRESET_TOKEN = process.env.PRESET_TOKEN || null;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8", ".js": "text/javascript", ".css": "text/css", ".json": "application/json",
+  ".png": "image/png", ".jpg": "image/jpeg", ".svg": "image/svg+xml", ".ico": "image/x-icon", ".woff2": "font/woff2",
+};
+
+// ═══════════════════════════════════════════════════════════════
+// PRESET STORE
+// ═══════════════════════════════════════════════════════════════
+async function readPresets() {
+  try { return JSON.parse(await readFile(PRESETS_FILE, "utf8")); }
+  catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// Writes go one at a time, through a temp file, so a crash mid-write can't truncate the library
+let writeQueue = Promise.resolve();
+function updatePresets(change) {
+  const run = writeQueue.then(async () => {
+    const updated = change(await readPresets());
+    await mkdir(dirname(PRESETS_FILE), { recursive: true });
+    await writeFile(`${PRESETS_FILE}.tmp`, JSON.stringify(updated, null, 2));
+    await rename(`${PRESETS_FILE}.tmp`, PRESETS_FILE);
+    return updated;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// The dashboard migrates and validates presets when it loads them; here we only make sure
+// the envelope is sane so one bad upload can't break listing for everyone.
+function checkPreset(body, name) {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) return "Body must be a preset object";
+  if (body.data === null || typeof body.data !== "object" || Array.isArray(body.data)) return "Preset is missing its data";
+  if (body.version !== undefined && !Number.isInteger(body.version)) return "version must be a whole number";
+  if (body.name !== undefined && (typeof body.name !== "string" || body.name.trim() !== name)) return "Preset name doesn't match the URL";
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HTTP
+// ═══════════════════════════════════════════════════════════════
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const CORS_HEADERS = CORS_ORIGIN ? {
+  "Access-Control-Allow-Origin": CORS_ORIGIN,
+  "Access-Control-Allow-Methods": "GET, PUT, DELETE",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+} : {};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS_HEADERS });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { reject(new HttpError(413, "Preset is too large")); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try { resolveBody(JSON.parse(Buffer.concat(chunks).toString("utf8"))); }
+      catch { reject(new HttpError(400, "Body isn't valid JSON")); }
+    });
+    req.on("error", reject);
+  });
+}
+
+function checkToken(req) {
+  if (!PRESET_TOKEN) return;
+  const given = Buffer.from(req.headers.authorization || "");
+  const expected = Buffer.from(`Bearer ${PRESET_TOKEN}`);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    throw new HttpError(401, "Changing the team library needs its write token");
+  }
+}
+
+async function handleApi(req, res, path) {
+  if (req.method === "OPTIONS") return sendJson(res, 204);
+  if (path === "/api/health" && req.method === "GET") return sendJson(res, 200, { ok: true });
+  if (path === "/api/presets") {
+    if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+    return sendJson(res, 200, await readPresets());
+  }
+
+  const match = path.match(/^\/api\/presets\/([^/]+)$/);
+  if (!match) throw new HttpError(404, "Not found");
+  const name = decodeURIComponent(match[1]).trim();
+  if (!name) throw new HttpError(400, "Preset name is required");
+
+  if (req.method === "GET") {
+    const preset = (await readPresets()).find(p => p.name === name);
+    if (!preset) throw new HttpError(404, `No preset named "${name}"`);
+    return sendJson(res, 200, preset);
+  }
+  if (req.method === "PUT") {
+    checkToken(req);
+    const body = await readBody(req);
+    const problem = checkPreset(body, name);
+    if (problem) throw new HttpError(400, problem);
+    const preset = { ...body, name, savedAt: body.savedAt || new Date().toISOString() };
+    await updatePresets(list => {
+      const existing = list.findIndex(p => p.name === name);
+      return existing >= 0 ? list.map((p, i) => i === existing ? preset : p) : [...list, preset];
+    });
+    return sendJson(res, 200, preset);
+  }
+  if (req.method === "DELETE") {
+    checkToken(req);
+    let found = false;
+    await updatePresets(list => list.filter(p => {
+      if (p.name !== name) return true;
+      found = true;
+      return false;
+    }));
+    if (!found) throw new HttpError(404, `No preset named "${name}"`);
+    return sendJson(res, 204);
+  }
+  throw new HttpError(405, "Method not allowed");
+}
+
+// Static files from dist/, falling back to index.html for client-side routes
+async function serveStatic(res, path) {
+  let file = normalize(join(DIST, path));
+  if (!file.startsWith(DIST + sep)) throw new HttpError(404, "Not found");
+  const info = await stat(file).catch(() => null);
+  if (!info || info.isDirectory()) file = join(DIST, "index.html");
+  const body = await readFile(file).catch(() => null);
+  if (!body) throw new HttpError(404, "Not found (run npm run build first)");
+  const immutable = file.startsWith(join(DIST, "assets"));
+  res.writeHead(200, {
+    "Content-Type": MIME_TYPES[extname(file)] || "application/octet-stream",
+    "Cache-Control": immutable ? "public, max-age=31536000, immutable" : "no-cache",
+  });
+  res.end(body);
+}
+
+const server = createServer(async (req, res) => {
+  const path = new URL(req.url, "http://localhost").pathname;
+  try {
+    if (path.startsWith("/api/")) await handleApi(req, res, path);
+    else await serveStatic(res, decodeURIComponent(path));
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : err instanceof URIError ? 400 : 500;
+    if (status === 500) console.error(err);
+    sendJson(res, status, { error: status === 500 ? "Server error" : err.message });
+  }
+});
+
+server.listen(PORT, () => console.log(`Ritual Powders dashboard on http://localhost:${PORT} (presets in ${PRESETS_FILE})`));
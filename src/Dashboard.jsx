@@ -1,8 +1,21 @@
 import { useState, useMemo, useCallback, useRef, useEffect } from "react";
 import {
   ComposedChart, Area, Line, Bar, BarChart, XAxis, YAxis, CartesianGrid,
-  Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend
+  Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend, ReferenceLine
 } from "recharts";
+import {
+  HORIZON_OPTIONS, DEFAULT_HORIZON, MONTH_NAMES, ORDER_ROUNDING_MODES, CAFE_CHANNEL_ID, CHANNEL_KINDS, isChannelEnabled, channelListPrice,
+  calcBulkMargin, calcBulkMarginPct, calcRetailMargin, calcTierEconomics,
+  projectCohorts, projectScenario, calcBreakEven, calcScenarioUnitEconomics, calcAnnualRollups,
+  normalizeShares, rebalanceShares, roundShares,
+} from "./engine";
+import { SIM_DRIVERS, SIM_DISTRIBUTIONS, DEFAULT_SIMULATION } from "./simulation";
+import { planProduction } from "./production";
+import { DEFAULT_CASH_FLOW, calcCashFlow } from "./cashflow";
+import { PRESET_VERSION, readPreset, formatPresetError, encodePresetLink, readPresetLink, presetServerAvailable, serverPresetStore, presetToken } from "./presets";
+import { diffModels, compareHorizon, projectModelScenario, compareFigures } from "./compare";
+import { actualsTemplate, parseActualsCsv, VARIANCE_METRICS, calcVariance, reforecast, parsePartnerLog, calibrateScenario } from "./actuals";
+import { listModelInputs, SENSITIVITY_METRICS, runTornado, runDataTable, GOAL_METRICS, goalSeek } from "./analysis";
 
 // ═══════════════════════════════════════════════════════════════
 // FONTS & GLOBAL STYLES
@@ -41,137 +54,78 @@ const PALETTE = {
 };
 
 const SCENARIO_COLORS = [PALETTE.scenarioA, PALETTE.scenarioB, PALETTE.scenarioC, PALETTE.scenarioD, PALETTE.scenarioE];
+// Cycled when there are more tiers than colors
+const TIER_COLORS = [PALETTE.accent, PALETTE.warm, PALETTE.green, PALETTE.dusk, PALETTE.dark, PALETTE.textLight, PALETTE.greenLight, PALETTE.duskLight];
+// Non-cafe channels; the two cafe revenue streams keep accent and green
+const CHANNEL_COLORS = [PALETTE.dusk, PALETTE.warm, PALETTE.dark, PALETTE.duskLight, PALETTE.textLight];
 
 // ═══════════════════════════════════════════════════════════════
 // DEFAULT DATA (from spreadsheet)
 // ═══════════════════════════════════════════════════════════════
 const DEFAULT_BULK_PRODUCTS = [
-  { id: "ev1", name: "Everyday Cafe Bag 1lb", sizeLbs: 1, servings: 180, wholesale: 80, cogs: 12.93 },
-  { id: "ev5", name: "Everyday Cafe Bag 5lb", sizeLbs: 5, servings: 900, wholesale: 300, cogs: 60 },
-  { id: "dk5", name: "Dusk Cafe Bag 5lb", sizeLbs: 5, servings: 107, wholesale: 108, cogs: 53 },
-  { id: "dk10", name: "Dusk Cafe Bag 10lb", sizeLbs: 10, servings: 214, wholesale: 195, cogs: 100 },
+  { id: "ev1", name: "Everyday Cafe Bag 1lb", sizeLbs: 1, servings: 180, wholesale: 80, cogs: 12.93, moq: 1, casePack: 1, batchSize: 50, leadTimeMonths: 1, safetyStockMonths: 0.5, priceBreaks: [], escalations: [] },
+  { id: "ev5", name: "Everyday Cafe Bag 5lb", sizeLbs: 5, servings: 900, wholesale: 300, cogs: 60, moq: 1, casePack: 1, batchSize: 20, leadTimeMonths: 1, safetyStockMonths: 0.5, priceBreaks: [], escalations: [] },
+  { id: "dk5", name: "Dusk Cafe Bag 5lb", sizeLbs: 5, servings: 107, wholesale: 108, cogs: 53, moq: 1, casePack: 1, batchSize: 20, leadTimeMonths: 1, safetyStockMonths: 0.5, priceBreaks: [], escalations: [] },
+  { id: "dk10", name: "Dusk Cafe Bag 10lb", sizeLbs: 10, servings: 214, wholesale: 195, cogs: 100, moq: 1, casePack: 1, batchSize: 10, leadTimeMonths: 1, safetyStockMonths: 0.5, priceBreaks: [], escalations: [] },
 ];
 
 const DEFAULT_RETAIL_PRODUCTS = [
-  { id: "evp", name: "Everyday Pouch", retailPrice: 24, wholesalePrice: 12, cogs: 4 },
-  { id: "dkp", name: "Dusk Pouch", retailPrice: 24, wholesalePrice: 12, cogs: 8 },
+  { id: "evp", name: "Everyday Pouch", sizeLbs: 0.375, retailPrice: 24, wholesalePrice: 12, cogs: 4, moq: 6, casePack: 6, batchSize: 500, leadTimeMonths: 2, safetyStockMonths: 1, priceBreaks: [], escalations: [] },
+  { id: "dkp", name: "Dusk Pouch", sizeLbs: 0.375, retailPrice: 24, wholesalePrice: 12, cogs: 8, moq: 6, casePack: 6, batchSize: 500, leadTimeMonths: 2, safetyStockMonths: 1, priceBreaks: [], escalations: [] },
 ];
 
 const DEFAULT_TIERS = [
-  { id: "small", label: "Small Cafe", bulkProductIds: ["ev1"], drinksPerDay: 10, tspPerDrink: 1, daysPerMonth: 30, retailProductIds: ["evp"], retailUnitsPerMonth: 10 },
-  { id: "medium", label: "Medium Cafe", bulkProductIds: ["ev5"], drinksPerDay: 40, tspPerDrink: 1, daysPerMonth: 30, retailProductIds: ["evp"], retailUnitsPerMonth: 15 },
-  { id: "large", label: "Large Cafe", bulkProductIds: ["ev5", "dk5"], drinksPerDay: 60, tspPerDrink: 1, daysPerMonth: 30, retailProductIds: ["evp", "dkp"], retailUnitsPerMonth: 25 },
+  { id: "small", label: "Small Cafe", bulkProductIds: ["ev1"], drinksPerDay: 10, tspPerDrink: 1, daysPerMonth: 30, retailProductIds: ["evp"], retailUnitsPerMonth: 10, bulkShares: { ev1: 100 }, retailShares: { evp: 100 }, monthlyChurnPct: null, rampPcts: [] },
+  { id: "medium", label: "Medium Cafe", bulkProductIds: ["ev5"], drinksPerDay: 40, tspPerDrink: 1, daysPerMonth: 30, retailProductIds: ["evp"], retailUnitsPerMonth: 15, bulkShares: { ev5: 100 }, retailShares: { evp: 100 }, monthlyChurnPct: null, rampPcts: [] },
+  { id: "large", label: "Large Cafe", bulkProductIds: ["ev5", "dk5"], drinksPerDay: 60, tspPerDrink: 1, daysPerMonth: 30, retailProductIds: ["evp", "dkp"], retailUnitsPerMonth: 25, bulkShares: { ev5: 50, dk5: 50 }, retailShares: { evp: 50, dkp: 50 }, monthlyChurnPct: null, rampPcts: [] },
 ];
 
-const DEFAULT_SCENARIOS = [
-  { name: "Base Case", startingPartners: 1, newPartnersPerMonth: 2, pctSmall: 50, pctMedium: 35, pctLarge: 15, monthlyChurnPct: 2, retailAttachPct: 50, color: PALETTE.scenarioA },
-  { name: "Aggressive", startingPartners: 1, newPartnersPerMonth: 4, pctSmall: 35, pctMedium: 40, pctLarge: 25, monthlyChurnPct: 3, retailAttachPct: 75, color: PALETTE.scenarioB },
-  { name: "Conservative", startingPartners: 1, newPartnersPerMonth: 1, pctSmall: 60, pctMedium: 30, pctLarge: 10, monthlyChurnPct: 1, retailAttachPct: 30, color: PALETTE.scenarioC },
+const DEFAULT_SEASONALITY_PROFILES = [
+  { id: "coffee-demand", name: "Mushroom Coffee Demand", multipliers: [1.25, 1.2, 1.1, 1.0, 0.9, 0.8, 0.75, 0.8, 0.95, 1.05, 1.1, 1.1] },
+  { id: "cafe-signings", name: "Cafe Signings", multipliers: [1.1, 1.1, 1.1, 1.05, 1.0, 0.95, 0.9, 0.95, 1.15, 1.1, 1.0, 0.6] },
 ];
 
-// ═══════════════════════════════════════════════════════════════
-// CALCULATION ENGINE
-// ═══════════════════════════════════════════════════════════════
-function calcBulkMargin(p) { return p.wholesale - p.cogs; }
-function calcBulkMarginPct(p) { return p.wholesale > 0 ? ((p.wholesale - p.cogs) / p.wholesale) : 0; }
-function calcRetailMargin(p) { return p.wholesalePrice - p.cogs; }
-
-function calcTierEconomics(tier, bulkProducts, retailProducts) {
-  const selectedBulk = bulkProducts.filter(p => (tier.bulkProductIds || []).includes(p.id));
-  const selectedRetail = retailProducts.filter(p => (tier.retailProductIds || []).includes(p.id));
-
-  const totalServingsPerMonth = tier.drinksPerDay * tier.tspPerDrink * tier.daysPerMonth;
-  const servingsPerProduct = selectedBulk.length > 0 ? totalServingsPerMonth / selectedBulk.length : 0;
-
-  let bulkRev = 0, bulkProfit = 0;
-  const bulkBreakdown = selectedBulk.map(bulk => {
-    const bags = bulk.servings > 0 ? servingsPerProduct / bulk.servings : 0;
-    const rev = bags * bulk.wholesale;
-    const profit = bags * calcBulkMargin(bulk);
-    bulkRev += rev;
-    bulkProfit += profit;
-    return { name: bulk.name, bags: Math.round(bags * 100) / 100, rev: Math.round(rev * 100) / 100 };
-  });
-
-  const retailUnitsPerProduct = selectedRetail.length > 0 ? tier.retailUnitsPerMonth / selectedRetail.length : 0;
-  let retailRev = 0, retailProfit = 0;
-  selectedRetail.forEach(retail => {
-    retailRev += retailUnitsPerProduct * retail.wholesalePrice;
-    retailProfit += retailUnitsPerProduct * calcRetailMargin(retail);
-  });
+const DEFAULT_OPEX = {
+  fixedLines: [
+    { id: "salaries", name: "Founder salaries", monthly: 6000 },
+    { id: "software", name: "Software & tools", monthly: 300 },
+    { id: "marketing", name: "Marketing", monthly: 1000 },
+  ],
+  cacPerPartner: 150,
+  accountMgmtPerPartner: 25,
+  shippingPerBag: 8,
+  shippingPerPouch: 1.5,
+};
 
-  return {
-    servingsPerMonth: totalServingsPerMonth,
-    bulkBreakdown,
-    bulkRev: Math.round(bulkRev * 100) / 100, bulkProfit: Math.round(bulkProfit * 100) / 100,
-    retailRev, retailProfit,
-    totalRev: Math.round((bulkRev + retailRev) * 100) / 100,
-    totalProfit: Math.round((bulkProfit + retailProfit) * 100) / 100,
-  };
-}
+const DEFAULT_CHANNELS = [
+  { id: "distributor", name: "Regional Distributor", kind: "distributor", marginPct: 30, costPerUnit: 0.5, fixedMonthly: 0, productIds: ["evp", "dkp"], productShares: { evp: 60, dkp: 40 } },
+  { id: "web-store", name: "Web Store", kind: "dtc", marginPct: 0, costPerUnit: 6, fixedMonthly: 100, productIds: ["evp", "dkp"], productShares: { evp: 60, dkp: 40 } },
+];
 
-function projectScenario(scenario, tiers, bulkProducts, retailProducts) {
-  const tierEcon = {};
-  tiers.forEach(t => { tierEcon[t.id] = calcTierEconomics(t, bulkProducts, retailProducts); });
-
-  const tierMap = { small: tiers[0]?.id, medium: tiers[1]?.id, large: tiers[2]?.id };
-  const sF = scenario.pctSmall / 100;
-  const mF = scenario.pctMedium / 100;
-  const lF = scenario.pctLarge / 100;
-  const churn = scenario.monthlyChurnPct / 100;
-  const retailAttach = scenario.retailAttachPct / 100;
-
-  let totalActive = scenario.startingPartners;
-  const months = [];
-  let cumulativeRev = 0, cumulativeProfit = 0;
-
-  for (let m = 1; m <= 12; m++) {
-    if (m > 1) totalActive = totalActive * (1 - churn) + scenario.newPartnersPerMonth;
-    const counts = { small: totalActive * sF, medium: totalActive * mF, large: totalActive * lF };
-
-    let bulkRev = 0, bulkProfit = 0, retailRev = 0, retailProfit = 0;
-    ["small", "medium", "large"].forEach(size => {
-      const tid = tierMap[size];
-      if (tid && tierEcon[tid]) {
-        bulkRev += counts[size] * tierEcon[tid].bulkRev;
-        bulkProfit += counts[size] * tierEcon[tid].bulkProfit;
-        // Retail attach rate from scenario: % of bulk partners who also stock retail
-        retailRev += counts[size] * tierEcon[tid].retailRev * retailAttach;
-        retailProfit += counts[size] * tierEcon[tid].retailProfit * retailAttach;
-      }
-    });
+const DEFAULT_SETTINGS = { startMonth: 0, seasonalityProfiles: DEFAULT_SEASONALITY_PROFILES, opex: DEFAULT_OPEX, orderRounding: "fractional", channels: DEFAULT_CHANNELS };
 
-    const totalRev = bulkRev + retailRev;
-    const totalProfit = bulkProfit + retailProfit;
-    cumulativeRev += totalRev;
-    cumulativeProfit += totalProfit;
-
-    months.push({
-      month: m, label: `M${m}`,
-      totalActive: Math.round(totalActive * 100) / 100,
-      small: Math.round(counts.small * 100) / 100,
-      medium: Math.round(counts.medium * 100) / 100,
-      large: Math.round(counts.large * 100) / 100,
-      bulkRevenue: Math.round(bulkRev), retailRevenue: Math.round(retailRev),
-      totalRevenue: Math.round(totalRev), bulkProfit: Math.round(bulkProfit),
-      retailProfit: Math.round(retailProfit), totalProfit: Math.round(totalProfit),
-      marginPct: totalRev > 0 ? Math.round((totalProfit / totalRev) * 1000) / 10 : 0,
-      cumulativeRev: Math.round(cumulativeRev), cumulativeProfit: Math.round(cumulativeProfit),
-    });
-  }
-  return months;
-}
+const DEFAULT_SCENARIOS = [
+  { name: "Base Case", startingPartners: 1, newPartnersPerMonth: 2, tierMix: { small: 50, medium: 35, large: 15 }, monthlyChurnPct: 2, retailAttachPct: 50, promoPct: 0, promoMonths: 0, cohortModel: false, wholePartners: false, consumptionProfileId: null, acquisitionProfileId: null, color: PALETTE.scenarioA },
+  { name: "Aggressive", startingPartners: 1, newPartnersPerMonth: 4, tierMix: { small: 35, medium: 40, large: 25 }, monthlyChurnPct: 3, retailAttachPct: 75, promoPct: 0, promoMonths: 0, cohortModel: false, wholePartners: false, consumptionProfileId: null, acquisitionProfileId: null, color: PALETTE.scenarioB },
+  { name: "Conservative", startingPartners: 1, newPartnersPerMonth: 1, tierMix: { small: 60, medium: 30, large: 10 }, monthlyChurnPct: 1, retailAttachPct: 30, promoPct: 0, promoMonths: 0, cohortModel: false, wholePartners: false, consumptionProfileId: null, acquisitionProfileId: null, color: PALETTE.scenarioC },
+];
 
 // ═══════════════════════════════════════════════════════════════
 // FORMATTING
 // ═══════════════════════════════════════════════════════════════
 const fmt = (n) => {
+  if (n < 0) return `-${fmt(-n)}`;
   if (n >= 1000000) return `$${(n / 1000000).toFixed(1)}M`;
   if (n >= 1000) return `$${(n / 1000).toFixed(1)}K`;
   return `$${Math.round(n).toLocaleString()}`;
 };
-const fmtFull = (n) => `$${Math.round(n).toLocaleString()}`;
+const fmtFull = (n) => n < 0 ? `-$${Math.round(-n).toLocaleString()}` : `$${Math.round(n).toLocaleString()}`;
 const pct = (n) => `${Math.round(n * 1000) / 10}%`;
+const fmtMonths = (n) => n === null ? "Never" : `${Math.round(n * 10) / 10} mo`;
+const fmtQty = (n) => (Math.round(n * 10) / 10).toLocaleString();
+const fmtSigned = (n, money) => `${n > 0 ? "+" : n < 0 ? "-" : ""}${money ? fmtFull(Math.abs(n)) : fmtQty(Math.abs(n))}`;
+const fmtSignedPct = (n) => `${n > 0 ? "+" : ""}${pct(n)}`;
+const fmtLtv = (n) => Number.isFinite(n) ? fmt(n) : n > 0 ? "\u221E" : "-\u221E";
 
 // ═══════════════════════════════════════════════════════════════
 // INFO TOOLTIP COMPONENT
@@ -252,7 +206,113 @@ function SliderRow({ label, value, onChange, min, max, step = 1, suffix = "", pr
   );
 }
 
-function CheckboxGroup({ options, values, onChange, name }) {
+function ToggleRow({ label, checked, onChange, tip }) {
+  const labelEl = <span style={{ fontSize: 12, color: checked ? PALETTE.text : PALETTE.textMuted, fontWeight: checked ? 600 : 500, fontFamily: FONT }}>{label}</span>;
+  return (
+    <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer" }}>
+      <input type="checkbox" checked={!!checked} onChange={e => onChange(e.target.checked)}
+        style={{ accentColor: PALETTE.dark, margin: 0, width: 14, height: 14, cursor: "pointer" }} />
+      {tip ? <InfoTip text={tip}>{labelEl}</InfoTip> : labelEl}
+    </label>
+  );
+}
+
+function SelectRow({ label, value, options, onChange, tip }) {
+  const labelEl = <span style={{ fontSize: 12, color: PALETTE.textMuted, fontFamily: FONT }}>{label}</span>;
+  return (
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
+      {tip ? <InfoTip text={tip}>{labelEl}</InfoTip> : labelEl}
+      <select value={value ?? ""} onChange={e => onChange(e.target.value || null)} style={{
+        background: PALETTE.cardAlt, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: "5px 8px",
+        fontSize: 12, fontWeight: 600, color: PALETTE.text, fontFamily: FONT, outline: "none", maxWidth: 170,
+      }}>
+        {options.map(o => <option key={o.value ?? ""} value={o.value ?? ""}>{o.label}</option>)}
+      </select>
+    </div>
+  );
+}
+
+function RampEditor({ values, onChange }) {
+  const btn = { background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT };
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <InfoTip text="Share of steady-state order volume a new partner reaches in each month after signing. Months beyond the ramp run at 100%. Leave empty for full volume from day one.">
+          <span style={{ fontSize: 12, color: PALETTE.textMuted, fontFamily: FONT }}>Onboarding Ramp</span>
+        </InfoTip>
+        <div style={{ display: "flex", gap: 4 }}>
+          {values.length > 0 && <button onClick={() => onChange(values.slice(0, -1))} style={btn}>&minus;</button>}
+          {values.length < 6 && <button onClick={() => onChange([...values, 100])} style={btn}>+ Month</button>}
+        </div>
+      </div>
+      {values.length === 0 ? (
+        <span style={{ fontSize: 11, color: PALETTE.textLight, fontFamily: FONT }}>Full volume from month 1</span>
+      ) : (
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          {values.map((v, k) => (
+            <div key={k} style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+              <span style={{ fontSize: 10, color: PALETTE.textLight, fontFamily: FONT }}>M{k + 1}</span>
+              <NumInput value={v} onChange={x => onChange(values.map((y, j) => j === k ? Math.max(0, Math.min(100, x)) : y))} suffix="%" min={0} max={100} step={5} small />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Quantity breaks for one product: an order of at least minQty units is billed at `price` per unit.
+function PriceBreakEditor({ breaks, listPrice, onChange }) {
+  const btn = { background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 8px", fontSize: 11, fontFamily: FONT };
+  const update = (k, field, v) => onChange(breaks.map((b, j) => j === k ? { ...b, [field]: v } : b));
+  const addBreak = () => onChange([...breaks, {
+    minQty: (breaks[breaks.length - 1]?.minQty || 0) + 5, price: Math.round(listPrice * 0.9 * 100) / 100,
+  }]);
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 4, alignItems: "flex-start" }}>
+      {breaks.map((b, k) => (
+        <div key={k} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          <NumInput value={b.minQty} onChange={v => update(k, "minQty", Math.max(0, v))} suffix="+" min={0} small />
+          <NumInput value={b.price} onChange={v => update(k, "price", Math.max(0, v))} prefix="$" min={0} step={0.5} small />
+          <button onClick={() => onChange(breaks.filter((_, j) => j !== k))} style={btn}>&times;</button>
+        </div>
+      ))}
+      <button onClick={addBreak} style={btn}>+ Break</button>
+    </div>
+  );
+}
+
+const describeEscalation = (e) => {
+  const change = `${e.pct >= 0 ? "+" : ""}${e.pct}% ${e.target === "cogs" ? "COGS" : "price"}`;
+  return e.everyMonths > 0 ? `${change} every ${e.everyMonths} months from M${e.startMonth}` : `${change} in M${e.startMonth}`;
+};
+
+// Scheduled price or COGS changes for one product. Changes compound when they repeat.
+function EscalationEditor({ escalations, onChange }) {
+  const btn = { background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 8px", fontSize: 11, fontFamily: FONT };
+  const label = { fontSize: 11, color: PALETTE.textMuted, fontFamily: FONT };
+  const update = (k, field, v) => onChange(escalations.map((e, j) => j === k ? { ...e, [field]: v } : e));
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+      {escalations.map((e, k) => (
+        <div key={e.id} style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+          <TabBar tabs={[{ key: "price", label: "Price" }, { key: "cogs", label: "COGS" }]} active={e.target} onChange={v => update(k, "target", v)} />
+          <NumInput value={e.pct} onChange={v => update(k, "pct", Math.max(-100, v))} suffix="%" step={0.5} small />
+          <span style={label}>from M</span>
+          <NumInput value={e.startMonth} onChange={v => update(k, "startMonth", Math.max(1, Math.round(v)))} min={1} small />
+          <span style={label}>repeat every</span>
+          <NumInput value={e.everyMonths} onChange={v => update(k, "everyMonths", Math.max(0, Math.round(v)))} suffix="mo" min={0} small />
+          <span style={{ ...label, color: PALETTE.textLight }}>{describeEscalation(e)}</span>
+          <button onClick={() => onChange(escalations.filter((_, j) => j !== k))} style={{ ...btn, marginLeft: "auto" }}>&times;</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// With `shares`, each selected option shows its share of the group as a percentage
+// (only when more than one is selected, since a single option always has 100%).
+function CheckboxGroup({ options, values, onChange, name, shares, onShareChange }) {
   const toggle = (id) => {
     if (values.includes(id)) {
       if (values.length > 1) onChange(values.filter(v => v !== id));
@@ -265,20 +325,25 @@ function CheckboxGroup({ options, values, onChange, name }) {
       {options.map(opt => {
         const selected = values.includes(opt.id);
         return (
-          <label key={opt.id} style={{
+          <div key={opt.id} style={{
             display: "flex", alignItems: "center", gap: 10,
-            padding: "8px 12px", borderRadius: 10, cursor: "pointer",
+            padding: "8px 12px", borderRadius: 10,
             background: selected ? PALETTE.accentBg : PALETTE.bg,
             border: `1.5px solid ${selected ? PALETTE.accent : PALETTE.borderLight}`,
             transition: "all 0.15s",
           }}>
-            <input type="checkbox" checked={selected} onChange={() => toggle(opt.id)}
-              style={{ accentColor: PALETTE.dark, margin: 0, width: 14, height: 14, cursor: "pointer" }} />
-            <div style={{ display: "flex", flexDirection: "column", gap: 1, minWidth: 0 }}>
-              <span style={{ fontSize: 12, fontWeight: selected ? 600 : 500, color: selected ? PALETTE.text : PALETTE.textMuted, fontFamily: FONT }}>{opt.name}</span>
-              {opt.detail && <span style={{ fontSize: 10, color: PALETTE.textLight, fontFamily: FONT }}>{opt.detail}</span>}
-            </div>
-          </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 10, flex: 1, minWidth: 0, cursor: "pointer" }}>
+              <input type="checkbox" checked={selected} onChange={() => toggle(opt.id)}
+                style={{ accentColor: PALETTE.dark, margin: 0, width: 14, height: 14, cursor: "pointer" }} />
+              <div style={{ display: "flex", flexDirection: "column", gap: 1, minWidth: 0 }}>
+                <span style={{ fontSize: 12, fontWeight: selected ? 600 : 500, color: selected ? PALETTE.text : PALETTE.textMuted, fontFamily: FONT }}>{opt.name}</span>
+                {opt.detail && <span style={{ fontSize: 10, color: PALETTE.textLight, fontFamily: FONT }}>{opt.detail}</span>}
+              </div>
+            </label>
+            {shares && selected && values.length > 1 && (
+              <NumInput value={Math.round(shares[opt.id] ?? 0)} onChange={v => onShareChange(opt.id, v)} suffix="%" min={0} max={100} small />
+            )}
+          </div>
         );
       })}
     </div>
@@ -371,39 +436,117 @@ function savePresetsToStorage(presets) {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
 }
 
-function PresetOverlay({ open, onClose, onLoad, onSave }) {
+// The working state is autosaved here (separately from named presets) and restored on reload
+const SESSION_KEY = "ritual-powders-session";
+// Opening a share link replaces the working state, so the session it replaced is kept here
+const SESSION_BACKUP_KEY = "ritual-powders-session-backup";
+
+function loadSession(key = SESSION_KEY) {
+  try { return JSON.parse(localStorage.getItem(key)); }
+  catch { return null; }
+}
+
+function saveSession(session, key = SESSION_KEY) {
+  try { localStorage.setItem(key, JSON.stringify(session)); }
+  catch { /* storage full or unavailable: keep working without autosave */ }
+}
+
+// Saving under an existing name replaces that preset
+function withPreset(presets, entry) {
+  const existing = presets.findIndex(p => p.name === entry.name);
+  return existing >= 0 ? presets.map((p, i) => i === existing ? entry : p) : [...presets, entry];
+}
+
+// Same interface as serverPresetStore, so the overlay can work against either
+const localPresetStore = {
+  list: async () => loadPresets(),
+  save: async (entry) => savePresetsToStorage(withPreset(loadPresets(), entry)),
+  remove: async (name) => savePresetsToStorage(loadPresets().filter(p => p.name !== name)),
+};
+
+const PRESET_STORES = { local: localPresetStore, server: serverPresetStore };
+
+function PresetOverlay({ open, onClose, onLoad, onSave, onCompare, tiers }) {
   const [presets, setPresets] = useState(() => loadPresets());
   const [name, setName] = useState("");
   const [confirmDelete, setConfirmDelete] = useState(null);
+  const [problem, setProblem] = useState(null);
+  const [storage, setStorage] = useState("local");
+  const [serverAvailable, setServerAvailable] = useState(false);
+  // Shown once the team library turns down a write for want of its token
+  const [tokenDraft, setTokenDraft] = useState(null);
   const fileInputRef = useRef(null);
+  const store = PRESET_STORES[storage];
+
+  useEffect(() => { if (open) { setName(""); setConfirmDelete(null); setProblem(null); setTokenDraft(null); } }, [open]);
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    presetServerAvailable().then(ok => {
+      if (cancelled) return;
+      setServerAvailable(ok);
+      if (!ok) setStorage("local");
+    });
+    return () => { cancelled = true; };
+  }, [open]);
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    store.list().then(
+      list => { if (!cancelled) { setPresets(list); setProblem(null); } },
+      err => { if (!cancelled) { setPresets([]); setProblem({ title: "Couldn't reach the preset server", errors: [{ path: "", message: err.message }] }); } },
+    );
+    return () => { cancelled = true; };
+  }, [open, store]);
+
+  // Runs a storage change and reloads the list; returns false (and shows why) if it failed
+  const updateStore = async (title, change) => {
+    try {
+      await change(store);
+      setPresets(await store.list());
+      setProblem(null);
+      return true;
+    } catch (err) {
+      setProblem({ title, errors: [{ path: "", message: err.message }] });
+      if (err.status === 401) setTokenDraft(presetToken.get());
+      return false;
+    }
+  };
 
-  useEffect(() => { if (open) { setPresets(loadPresets()); setName(""); setConfirmDelete(null); } }, [open]);
-
-  const handleSave = () => {
+  const handleSave = async () => {
     const trimmed = name.trim();
     if (!trimmed) return;
-    const existing = presets.findIndex(p => p.name === trimmed);
-    const entry = { name: trimmed, data: onSave(), savedAt: new Date().toISOString() };
-    let updated;
-    if (existing >= 0) {
-      updated = presets.map((p, i) => i === existing ? entry : p);
-    } else {
-      updated = [...presets, entry];
-    }
-    savePresetsToStorage(updated);
-    setPresets(updated);
+    const entry = { name: trimmed, version: PRESET_VERSION, data: onSave(), savedAt: new Date().toISOString() };
+    if (!await updateStore(`Couldn't save "${trimmed}"`, s => s.save(entry))) return;
     setName("");
+    // A saved copy should load back as the same model; anything the preset schema drops shows up here
+    const reloaded = readPreset(JSON.parse(JSON.stringify(entry)), { tiers }).preset;
+    const lost = reloaded ? diffModels(entry.data, reloaded.data) : [];
+    if (lost.length) setProblem({
+      title: `Saved "${trimmed}", but some fields won't load back the same`,
+      errors: lost.map(d => ({ path: `${d.section} \u2013 ${d.item}${d.field ? `.${d.field}` : ""}`, message: { changed: "comes back changed", added: "appears", removed: "goes missing" }[d.change] })),
+    });
   };
 
-  const handleDelete = (idx) => {
-    const updated = presets.filter((_, i) => i !== idx);
-    savePresetsToStorage(updated);
-    setPresets(updated);
+  const saveToken = () => {
+    presetToken.set(tokenDraft.trim());
+    setTokenDraft(null);
+    setProblem(null);
+  };
+
+  const handleDelete = async (idx) => {
     setConfirmDelete(null);
+    await updateStore(`Couldn't delete "${presets[idx].name}"`, s => s.remove(presets[idx].name));
   };
 
+  // Stored presets go through the same checks as imports, since older ones predate them
   const handleLoad = (preset) => {
-    onLoad(preset.data);
+    const { preset: checked, errors } = readPreset(preset, { tiers });
+    if (!checked) {
+      setProblem({ title: `Couldn't load "${preset.name}"`, errors });
+      return;
+    }
+    onLoad(checked.data);
     onClose();
   };
 
@@ -422,15 +565,13 @@ function PresetOverlay({ open, onClose, onLoad, onSave }) {
     if (!file) return;
     const reader = new FileReader();
     reader.onload = (ev) => {
-      try {
-        const parsed = JSON.parse(ev.target.result);
-        if (parsed.data && (parsed.data.bulkProducts || parsed.data.retailProducts || parsed.data.tiers || parsed.data.scenarios)) {
-          const entry = { name: parsed.name || file.name.replace(/\.json$/, ""), data: parsed.data, savedAt: parsed.savedAt || new Date().toISOString() };
-          const updated = [...presets, entry];
-          savePresetsToStorage(updated);
-          setPresets(updated);
-        }
-      } catch { /* invalid file */ }
+      const title = `Couldn't import ${file.name}`;
+      let parsed;
+      try { parsed = JSON.parse(ev.target.result); }
+      catch { setProblem({ title, errors: [{ path: "", message: "The file isn't valid JSON" }] }); return; }
+      const { preset, errors } = readPreset(parsed, { tiers });
+      if (!preset) { setProblem({ title, errors }); return; }
+      updateStore(title, s => s.save({ ...preset, name: preset.name || file.name.replace(/\.json$/, "") }));
     };
     reader.readAsText(file);
     e.target.value = "";
@@ -452,6 +593,13 @@ function PresetOverlay({ open, onClose, onLoad, onSave }) {
           <button onClick={onClose} style={{ background: "none", border: "none", fontSize: 20, color: PALETTE.textMuted, cursor: "pointer", padding: 4, lineHeight: 1 }}>&times;</button>
         </div>
 
+        {serverAvailable && (
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, marginBottom: 16 }}>
+            <TabBar tabs={[{ key: "local", label: "This Browser" }, { key: "server", label: "Team Library" }]} active={storage} onChange={setStorage} />
+            <span style={{ fontSize: 11, color: PALETTE.textMuted }}>{storage === "server" ? "Shared with everyone using this server" : "Only visible in this browser"}</span>
+          </div>
+        )}
+
         {/* Save new + Import */}
         <div style={{ display: "flex", gap: 8, marginBottom: 24 }}>
           <input
@@ -473,6 +621,29 @@ function PresetOverlay({ open, onClose, onLoad, onSave }) {
           <input ref={fileInputRef} type="file" accept=".json" onChange={handleImport} style={{ display: "none" }} />
         </div>
 
+        {problem && (
+          <div style={{ marginBottom: 24, border: "1px solid #d44", borderRadius: 12, padding: "12px 16px", fontSize: 12, display: "flex", flexDirection: "column", gap: 4 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <span style={{ fontWeight: 600, color: PALETTE.text }}>{problem.title}</span>
+              <button onClick={() => setProblem(null)} style={{ background: "none", border: "none", fontSize: 16, color: PALETTE.textMuted, cursor: "pointer", padding: 0, lineHeight: 1 }}>&times;</button>
+            </div>
+            {problem.errors.slice(0, 8).map((err, i) => <span key={i} style={{ color: "#d44" }}>{formatPresetError(err)}</span>)}
+            {problem.errors.length > 8 && <span style={{ color: PALETTE.textMuted }}>{`\u2026and ${problem.errors.length - 8} more`}</span>}
+          </div>
+        )}
+
+        {tokenDraft !== null && storage === "server" && (
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 24, fontSize: 12, color: PALETTE.text }}>
+            <span style={{ flex: "0 0 auto" }}>Write token</span>
+            <input
+              type="password" value={tokenDraft} onChange={e => setTokenDraft(e.target.value)} placeholder="From whoever runs the server"
+              onKeyDown={e => e.key === "Enter" && saveToken()}
+              style={{ flex: 1, padding: "6px 10px", borderRadius: 8, border: `1px solid ${PALETTE.border}`, fontSize: 12, fontFamily: FONT, color: PALETTE.text, outline: "none", background: PALETTE.cardAlt }}
+            />
+            <button onClick={saveToken} style={{ ...btnSmall, background: PALETTE.text, color: PALETTE.bg }}>Use token</button>
+          </div>
+        )}
+
         {/* List */}
         {presets.length === 0 ? (
           <div style={{ textAlign: "center", padding: "32px 0", color: PALETTE.textMuted, fontSize: 13 }}>
@@ -494,6 +665,7 @@ function PresetOverlay({ open, onClose, onLoad, onSave }) {
                 </div>
                 <button onClick={() => handleLoad(preset)} style={{ ...btnSmall, background: PALETTE.dark, color: PALETTE.bg }}>Load</button>
                 <button onClick={() => handleExport(preset)} style={{ ...btnSmall, background: PALETTE.warm, color: PALETTE.dark }}>Export</button>
+                <button onClick={() => onCompare(presets, i)} style={{ ...btnSmall, background: PALETTE.cardAlt, color: PALETTE.text, border: `1px solid ${PALETTE.border}` }}>Compare</button>
                 {confirmDelete === i ? (
                   <button onClick={() => handleDelete(i)} style={{ ...btnSmall, background: "#d44", color: "#fff" }}>Confirm</button>
                 ) : (
@@ -508,6 +680,178 @@ function PresetOverlay({ open, onClose, onLoad, onSave }) {
   );
 }
 
+// ═══════════════════════════════════════════════════════════════
+// PRESET COMPARISON
+// ═══════════════════════════════════════════════════════════════
+const CURRENT_MODEL = "current";
+
+const COMPARE_METRICS = [
+  { key: "revenue", label: "Revenue", field: "totalRevenue" },
+  { key: "ebitda", label: "EBITDA", field: "ebitda" },
+  { key: "partners", label: "Partners", field: "totalActive" },
+];
+
+const fmtDiffValue = (v) => {
+  if (v === null || v === undefined) return "-";
+  if (Array.isArray(v)) return v.join(", ");
+  if (typeof v === "boolean") return v ? "Yes" : "No";
+  if (typeof v === "number") return fmtQty(v);
+  return String(v);
+};
+
+// Two models side by side: any listed preset or the current state, which fills in missing parts.
+function PresetCompare({ open, presets, initial, current, onClose }) {
+  const [sides, setSides] = useState({ before: CURRENT_MODEL, after: CURRENT_MODEL });
+  const [scenarioName, setScenarioName] = useState(null);
+  const [metric, setMetric] = useState("revenue");
+
+  useEffect(() => { if (open) setSides({ before: String(initial), after: CURRENT_MODEL }); }, [open, initial]);
+
+  const [before, after] = useMemo(() => [sides.before, sides.after].map(key => {
+    if (key === CURRENT_MODEL) return { name: "Current model", model: current, errors: [] };
+    const stored = presets[Number(key)];
+    if (!stored) return { name: "", model: null, errors: [] };
+    const { preset, errors } = readPreset(stored, { tiers: current.tiers });
+    return { name: stored.name, model: preset ? { ...current, ...preset.data } : null, errors };
+  }), [sides, presets, current]);
+  const ready = open && before.model && after.model;
+
+  const changes = useMemo(() => ready ? diffModels(before.model, after.model) : [], [ready, before, after]);
+  const names = ready ? [...new Set([...before.model.scenarios, ...after.model.scenarios].map(s => s.name))] : [];
+  const activeName = names.includes(scenarioName) ? scenarioName : names[0];
+  const horizon = ready ? compareHorizon(before.model, after.model) : DEFAULT_HORIZON;
+  const projection = (model) => {
+    const scenario = model.scenarios.find(s => s.name === activeName);
+    return scenario ? projectModelScenario(model, scenario, horizon) : null;
+  };
+  const pBefore = ready ? projection(before.model) : null;
+  const pAfter = ready ? projection(after.model) : null;
+  const figures = compareFigures(pBefore, pAfter);
+  const field = COMPARE_METRICS.find(m => m.key === metric).field;
+  const chartData = Array.from({ length: horizon }, (_, i) => ({
+    label: (pBefore || pAfter)?.months[i].label,
+    before: pBefore?.months[i][field],
+    after: pAfter?.months[i][field],
+  }));
+
+  if (!open) return null;
+
+  const options = [{ value: CURRENT_MODEL, label: "Current model" }, ...presets.map((p, i) => ({ value: String(i), label: p.name }))];
+  const problems = [before, after].filter(side => !side.model && side.errors.length);
+
+  return (
+    <div style={{ position: "fixed", inset: 0, zIndex: 10000, display: "flex", alignItems: "center", justifyContent: "center" }} onClick={onClose}>
+      <div style={{ position: "absolute", inset: 0, background: "rgba(29,30,28,0.5)", backdropFilter: "blur(4px)" }} />
+      <div onClick={e => e.stopPropagation()} style={{
+        position: "relative", background: PALETTE.card, borderRadius: 20, padding: 32, width: "100%", maxWidth: 1000,
+        maxHeight: "85vh", overflowY: "auto", boxShadow: "0 24px 64px rgba(0,0,0,0.2)", fontFamily: FONT,
+        display: "flex", flexDirection: "column", gap: 20,
+      }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2 style={{ fontSize: 20, fontWeight: 700, fontFamily: SERIF, margin: 0, color: PALETTE.text }}>Compare Models</h2>
+          <button onClick={onClose} style={{ background: "none", border: "none", fontSize: 20, color: PALETTE.textMuted, cursor: "pointer", padding: 4, lineHeight: 1 }}>&times;</button>
+        </div>
+
+        <div style={{ display: "flex", gap: 24, flexWrap: "wrap" }}>
+          <SelectRow label="Before" value={sides.before} options={options} onChange={v => setSides(x => ({ ...x, before: v }))} />
+          <SelectRow label="After" value={sides.after} options={options} onChange={v => setSides(x => ({ ...x, after: v }))} />
+        </div>
+
+        {problems.map((side, i) => (
+          <div key={i} style={{ border: "1px solid #d44", borderRadius: 12, padding: "12px 16px", fontSize: 12, display: "flex", flexDirection: "column", gap: 4 }}>
+            <span style={{ fontWeight: 600, color: PALETTE.text }}>{`Couldn't read "${side.name}"`}</span>
+            {side.errors.slice(0, 5).map((err, i) => <span key={i} style={{ color: "#d44" }}>{formatPresetError(err)}</span>)}
+          </div>
+        ))}
+
+        {ready && (
+          <>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+              <TabBar tabs={names.map(n => ({ key: n, label: n }))} active={activeName} onChange={setScenarioName} />
+              <TabBar tabs={COMPARE_METRICS.map(m => ({ key: m.key, label: m.label }))} active={metric} onChange={setMetric} />
+            </div>
+            <ResponsiveContainer width="100%" height={260}>
+              <ComposedChart data={chartData} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
+                <XAxis dataKey="label" tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
+                <YAxis tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} tickFormatter={v => metric === "partners" ? v : fmt(v)} />
+                <Tooltip content={<ChartTooltip format={metric === "partners" ? v => Math.round(v * 10) / 10 : undefined} />} />
+                <Legend wrapperStyle={{ fontSize: 11, fontFamily: FONT }} />
+                {pBefore && <Line type="monotone" dataKey="before" name={before.name} stroke={PALETTE.textLight} strokeDasharray="5 3" strokeWidth={2} dot={false} />}
+                {pAfter && <Line type="monotone" dataKey="after" name={after.name} stroke={PALETTE.dusk} strokeWidth={2.5} dot={false} />}
+              </ComposedChart>
+            </ResponsiveContainer>
+
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                  <Th>{activeName}</Th>
+                  <Th>{before.name}</Th>
+                  <Th>{after.name}</Th>
+                  <Th tip="After minus Before, with the change as a share of Before.">Change</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {figures.map(f => {
+                  const show = (v) => v === null ? "-" : f.money ? fmtFull(v) : fmtQty(v);
+                  return (
+                    <tr key={f.key} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                      <td style={{ padding: "8px 12px", fontWeight: 600 }}>{f.label}</td>
+                      <td style={{ padding: "8px 12px" }}>{show(f.before)}</td>
+                      <td style={{ padding: "8px 12px" }}>{show(f.after)}</td>
+                      <td style={{ padding: "8px 12px", fontWeight: 600, color: f.delta < 0 ? "#d44" : f.delta > 0 ? PALETTE.green : PALETTE.textMuted }}>
+                        {f.delta === null ? "-" : fmtSigned(f.delta, f.money)}{f.pct !== null && ` (${fmtSignedPct(f.pct)})`}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div>
+              <h3 style={{ fontSize: 15, fontWeight: 600, color: PALETTE.text, margin: "0 0 8px" }}>{`Changed Fields (${changes.length})`}</h3>
+              {changes.length === 0 ? (
+                <div style={{ fontSize: 12, color: PALETTE.textMuted }}>No differences in products, tiers or scenarios.</div>
+              ) : (
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                      <Th>Section</Th>
+                      <Th>Item</Th>
+                      <Th>Field</Th>
+                      <Th>{before.name}</Th>
+                      <Th>{after.name}</Th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changes.map((c, i) => (
+                      <tr key={i} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                        <td style={{ padding: "8px 12px", color: PALETTE.textMuted }}>{c.section}</td>
+                        <td style={{ padding: "8px 12px", fontWeight: 600 }}>{c.item}</td>
+                        {c.change === "changed" ? (
+                          <>
+                            <td style={{ padding: "8px 12px" }}><code style={{ fontSize: 11 }}>{c.field}</code></td>
+                            <td style={{ padding: "8px 12px", color: PALETTE.textMuted }}>{fmtDiffValue(c.before)}</td>
+                            <td style={{ padding: "8px 12px" }}>{fmtDiffValue(c.after)}</td>
+                          </>
+                        ) : (
+                          <td colSpan={3} style={{ padding: "8px 12px", color: c.change === "added" ? PALETTE.green : "#d44" }}>
+                            {c.change === "added" ? `Only in ${after.name}` : `Only in ${before.name}`}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function Th({ children, tip }) {
   const inner = <span>{children}</span>;
   return (
@@ -520,8 +864,9 @@ function Th({ children, tip }) {
 // ═══════════════════════════════════════════════════════════════
 // CUSTOM CHART TOOLTIP
 // ═══════════════════════════════════════════════════════════════
-function ChartTooltip({ active, payload, label }) {
+function ChartTooltip({ active, payload, label, format }) {
   if (!active || !payload?.length) return null;
+  const fmtValue = format || ((v) => typeof v === "number" && Math.abs(v) > 50 ? fmtFull(v) : typeof v === "number" ? Math.round(v * 100) / 100 : v);
   return (
     <div style={{ background: PALETTE.card, border: `1px solid ${PALETTE.border}`, borderRadius: 10, padding: "10px 14px", fontFamily: FONT, boxShadow: "0 4px 20px rgba(0,0,0,0.08)" }}>
       <div style={{ fontSize: 12, fontWeight: 600, color: PALETTE.text, marginBottom: 6 }}>{label}</div>
@@ -529,13 +874,359 @@ function ChartTooltip({ active, payload, label }) {
         <div key={i} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 11, color: PALETTE.textMuted, marginBottom: 2 }}>
           <div style={{ width: 8, height: 8, borderRadius: "50%", background: p.color || p.stroke }} />
           <span>{p.name}:</span>
-          <span style={{ fontWeight: 600, color: PALETTE.text }}>{typeof p.value === "number" && Math.abs(p.value) > 50 ? fmtFull(p.value) : p.value}</span>
+          <span style={{ fontWeight: 600, color: PALETTE.text }}>{Array.isArray(p.value) ? `${fmtValue(p.value[0])} \u2013 ${fmtValue(p.value[1])}` : fmtValue(p.value)}</span>
         </div>
       ))}
     </div>
   );
 }
 
+// Actual figure with the plan and the variance (absolute and %) underneath.
+function VarianceCell({ value, money }) {
+  if (!value) return <span style={{ color: PALETTE.textLight }}>-</span>;
+  const color = value.delta < 0 ? "#d44" : PALETTE.green;
+  return (
+    <div>
+      <div style={{ fontWeight: 600 }}>{money ? fmtFull(value.actual) : fmtQty(value.actual)}</div>
+      <div style={{ fontSize: 10, color: PALETTE.textMuted }}>
+        plan {money ? fmtFull(value.plan) : fmtQty(value.plan)} {"\u00B7"} <span style={{ color }}>{fmtSigned(value.delta, money)}{value.pct !== null && ` (${fmtSignedPct(value.pct)})`}</span>
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// COHORT RETENTION TRIANGLE
+// ═══════════════════════════════════════════════════════════════
+function CohortTriangle({ scenario, tiers, horizon, settings }) {
+  const { cohorts } = useMemo(() => projectCohorts(scenario, tiers, horizon, settings), [scenario, tiers, horizon, settings]);
+  const rows = cohorts.filter(c => c.size > 0);
+  const fmtCount = (n) => scenario.wholePartners && scenario.cohortModel ? n : Math.round(n * 10) / 10;
+  const cell = { padding: "6px 8px", textAlign: "right", whiteSpace: "nowrap" };
+
+  if (rows.length === 0) {
+    return <div style={{ textAlign: "center", padding: "24px 0", color: PALETTE.textMuted, fontSize: 12 }}>No partners signed in this scenario.</div>;
+  }
+
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ borderCollapse: "collapse", fontSize: 11, fontFamily: FONT }}>
+        <thead>
+          <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+            <Th tip="Month the cohort signed. M1 is the starting partner base.">Cohort</Th>
+            <Th tip="Partners signed in that month.">Signed</Th>
+            {Array.from({ length: horizon }, (_, m) => <Th key={m}>M{m + 1}</Th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(c => (
+            <tr key={c.signedMonth} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+              <td style={{ ...cell, textAlign: "left", fontWeight: 600 }}>M{c.signedMonth}</td>
+              <td style={{ ...cell, fontWeight: 600 }}>{fmtCount(c.size)}</td>
+              {c.active.map((a, m) => {
+                if (a === null) return <td key={m} style={cell} />;
+                const retention = c.size > 0 ? a / c.size : 0;
+                return (
+                  <td key={m} style={{ ...cell, background: `rgba(90,138,74,${(0.08 + retention * 0.35).toFixed(2)})`, color: PALETTE.text }}>
+                    {fmtCount(a)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SENSITIVITY PANEL
+// ═══════════════════════════════════════════════════════════════
+function SensitivityPanel({ scenarios, tiers, bulkProducts, retailProducts, settings }) {
+  const [scenarioIdx, setScenarioIdx] = useState(0);
+  const [metric, setMetric] = useState("yearRevenue");
+  const [deltaPct, setDeltaPct] = useState(10);
+  const [rowId, setRowId] = useState("scenario.newPartnersPerMonth");
+  const [colId, setColId] = useState("scenario.monthlyChurnPct");
+
+  const idx = Math.min(scenarioIdx, scenarios.length - 1);
+  const model = useMemo(() => ({ scenario: scenarios[idx], tiers, bulkProducts, retailProducts }), [scenarios, idx, tiers, bulkProducts, retailProducts]);
+  const inputs = useMemo(() => listModelInputs(model), [model]);
+  const tornado = useMemo(() => runTornado(model, metric, deltaPct, settings), [model, metric, deltaPct, settings]);
+  const table = useMemo(() => runDataTable(model, rowId, colId, deltaPct, 5, metric, settings), [model, rowId, colId, deltaPct, metric, settings]);
+  const metricLabel = SENSITIVITY_METRICS.find(m => m.key === metric)?.label;
+  const inputOptions = inputs.map(i => ({ value: i.id, label: `${i.group}: ${i.label}` }));
+  const fmtInput = (v) => Math.round(v * 100) / 100;
+
+  const bars = tornado.rows.filter(r => r.swing > 0.5).slice(0, 15);
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center" }}>
+        <TabBar tabs={scenarios.map((s, i) => ({ key: i, label: s.name }))} active={idx} onChange={setScenarioIdx} />
+        <TabBar tabs={SENSITIVITY_METRICS.map(m => ({ key: m.key, label: m.label }))} active={metric} onChange={setMetric} />
+        <InfoTip text="How far each input is moved down and up from its current value.">
+          <TabBar tabs={[5, 10, 20, 30].map(d => ({ key: d, label: `\u00B1${d}%` }))} active={deltaPct} onChange={setDeltaPct} />
+        </InfoTip>
+      </div>
+
+      <Card title="Tornado Chart" titleTip={`Each bar shows how ${metricLabel} changes when one input is moved by -${deltaPct}% (pink) and +${deltaPct}% (green), all else held constant. Inputs are ranked by total swing, so the top bars are what matters most.`} subtitle={`${metricLabel} base: ${fmtFull(tornado.base)} \u00B7 top ${bars.length} inputs by swing`}>
+        {bars.length === 0 ? (
+          <div style={{ textAlign: "center", padding: "32px 0", color: PALETTE.textMuted, fontSize: 13 }}>No input moves this metric.</div>
+        ) : (
+          <ResponsiveContainer width="100%" height={Math.max(200, bars.length * 30 + 40)}>
+            <BarChart data={bars} layout="vertical" stackOffset="sign" margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} horizontal={false} />
+              <XAxis type="number" tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} tickFormatter={fmt} />
+              <YAxis type="category" dataKey="label" width={220} tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} />
+              <Tooltip content={<ChartTooltip />} />
+              <ReferenceLine x={0} stroke={PALETTE.textMuted} />
+              <Bar dataKey="lowDelta" name={`-${deltaPct}%`} stackId="swing" fill={PALETTE.accent} />
+              <Bar dataKey="highDelta" name={`+${deltaPct}%`} stackId="swing" fill={PALETTE.green} />
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+      </Card>
+
+      <Card title="Two-Variable Data Table" titleTip={`${metricLabel} for every combination of two inputs, each stepped from -${deltaPct}% to +${deltaPct}%. The centre cell is the current model.`} subtitle={metricLabel}>
+        <div style={{ display: "flex", flexDirection: "column", gap: 10, maxWidth: 560, marginBottom: 16 }}>
+          <SelectRow label="Rows" value={rowId} options={inputOptions} onChange={v => v && setRowId(v)} />
+          <SelectRow label="Columns" value={colId} options={inputOptions} onChange={v => v && setColId(v)} />
+        </div>
+        {table && (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                  <Th>{`${inputs.find(i => i.id === rowId)?.label} \u2193 / ${inputs.find(i => i.id === colId)?.label} \u2192`}</Th>
+                  {table.colValues.map((v, k) => <Th key={k}>{fmtInput(v)}</Th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {table.cells.map((row, r) => (
+                  <tr key={r} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                    <td style={{ padding: "10px 12px", fontWeight: 600 }}>{fmtInput(table.rowValues[r])}</td>
+                    {row.map((v, c) => {
+                      const diff = table.base !== 0 ? (v - table.base) / Math.abs(table.base) : 0;
+                      const bg = diff >= 0 ? `rgba(90,138,74,${Math.min(0.45, diff * 1.5).toFixed(2)})` : `rgba(245,181,194,${Math.min(0.8, -diff * 2.5).toFixed(2)})`;
+                      return (
+                        <td key={c} style={{ padding: "10px 12px", background: bg, fontWeight: r === 2 && c === 2 ? 700 : 500, textAlign: "right" }}>{fmt(v)}</td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// GOAL SEEK PANEL
+// ═══════════════════════════════════════════════════════════════
+function GoalSeekPanel({ scenarios, tiers, bulkProducts, retailProducts, settings, horizon, onApply }) {
+  const [scenarioIdx, setScenarioIdx] = useState(0);
+  const [metric, setMetric] = useState("totalRevenue");
+  const [month, setMonth] = useState(12);
+  const [target, setTarget] = useState(50000);
+  const [inputId, setInputId] = useState("scenario.newPartnersPerMonth");
+
+  const idx = Math.min(scenarioIdx, scenarios.length - 1);
+  const targetMonth = Math.min(month, horizon);
+  const model = useMemo(() => ({ scenario: scenarios[idx], tiers, bulkProducts, retailProducts }), [scenarios, idx, tiers, bulkProducts, retailProducts]);
+  const inputOptions = useMemo(() => listModelInputs(model).map(i => ({ value: i.id, label: `${i.group}: ${i.label}` })), [model]);
+  const result = useMemo(() => goalSeek(model, inputId, { metric, month: targetMonth, target }, settings), [model, inputId, metric, targetMonth, target, settings]);
+  const metricInfo = GOAL_METRICS.find(m => m.key === metric);
+  const fmtMetric = (v) => metricInfo?.money ? fmtFull(v) : Math.round(v * 10) / 10;
+  const fmtInput = (v) => Math.round(v * 100) / 100;
+
+  return (
+    <Card title="Goal Seek" titleTip="Back-solves one input so a scenario hits a target. Pick the metric, month and value you need, and the input you're willing to change; everything else is held at its current value." subtitle="What does it take to hit the target?">
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))", gap: 24 }}>
+        <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+          <TabBar tabs={scenarios.map((s, i) => ({ key: i, label: s.name }))} active={idx} onChange={setScenarioIdx} />
+          <SelectRow label="Target Metric" value={metric} options={GOAL_METRICS.map(m => ({ value: m.key, label: m.label }))} onChange={v => v && setMetric(v)} />
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <span style={{ fontSize: 12, color: PALETTE.textMuted }}>Target Month</span>
+            <NumInput value={targetMonth} onChange={v => setMonth(Math.max(1, Math.min(horizon, Math.round(v))))} prefix="M" min={1} max={horizon} />
+          </div>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <span style={{ fontSize: 12, color: PALETTE.textMuted }}>Target Value</span>
+            <NumInput value={target} onChange={setTarget} prefix={metricInfo?.money ? "$" : ""} step={metricInfo?.money ? 1000 : 1} />
+          </div>
+          <SelectRow label="Free Variable" value={inputId} options={inputOptions} onChange={v => v && setInputId(v)} tip="The one input goal seek may change. Tier-mix inputs rescale the other tiers to keep the mix total." />
+        </div>
+
+        <div style={{ background: PALETTE.cardAlt, borderRadius: 10, padding: 18, display: "flex", flexDirection: "column", gap: 10, borderLeft: `3px solid ${scenarios[idx]?.color}` }}>
+          {result.input ? (
+            <>
+              <span style={{ fontSize: 10, fontWeight: 600, letterSpacing: "0.08em", textTransform: "uppercase", color: PALETTE.textMuted }}>
+                {result.solved ? "Required value" : "Closest reachable"}
+              </span>
+              <span style={{ fontSize: 26, fontWeight: 700, fontFamily: SERIF }}>{fmtInput(result.value)}</span>
+              <span style={{ fontSize: 12, color: PALETTE.textMuted }}>
+                {result.input.label} (currently {fmtInput(result.current)})
+              </span>
+              <span style={{ fontSize: 12 }}>
+                {metricInfo?.label} at M{targetMonth}: <strong>{fmtMetric(result.achieved)}</strong> vs target {fmtMetric(target)}
+              </span>
+              {!result.solved && (
+                <div style={{ fontSize: 11, color: PALETTE.accent, background: PALETTE.accentBg, padding: "6px 10px", borderRadius: 8 }}>{result.message}</div>
+              )}
+              <button onClick={() => onApply(idx, result.input.set(model, result.value))} style={{
+                alignSelf: "flex-start", background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 10,
+                padding: "10px 20px", fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: FONT, marginTop: 4,
+              }}>Apply to {scenarios[idx]?.name}</button>
+            </>
+          ) : (
+            <span style={{ fontSize: 12, color: PALETTE.textMuted }}>{result.message}</span>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SIMULATION WORKER
+// ═══════════════════════════════════════════════════════════════
+// Chart metric tab -> projection field the simulation reports bands for.
+const SIM_METRIC_KEYS = { revenue: "totalRevenue", profit: "totalProfit", ebitda: "ebitda", partners: "totalActive", cumRev: "cumulativeRev" };
+
+// Posts params to the Monte Carlo worker (debounced) and keeps only the newest reply.
+function useSimulation(params) {
+  const workerRef = useRef(null);
+  const requestRef = useRef(0);
+  const [state, setState] = useState({ result: null, running: false, error: null });
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return;
+    const worker = new Worker(new URL("./simulation.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      if (e.data.id !== requestRef.current) return;
+      setState({ result: e.data.result || null, running: false, error: e.data.error || null });
+    };
+    workerRef.current = worker;
+    return () => { worker.terminate(); workerRef.current = null; };
+  }, []);
+
+  useEffect(() => {
+    if (!params || !workerRef.current) return;
+    const id = ++requestRef.current;
+    setState(s => ({ ...s, running: true }));
+    const timer = setTimeout(() => workerRef.current?.postMessage({ id, params }), 250);
+    return () => clearTimeout(timer);
+  }, [params]);
+
+  return state;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// UNDO HISTORY
+// ═══════════════════════════════════════════════════════════════
+const HISTORY_LIMIT = 100;
+// Changes closer together than this (a slider drag, typing in a field) form one undo step
+const HISTORY_GROUP_MS = 600;
+
+// Watches `snapshot` and records each change so it can be undone. restore(snapshot) must
+// put a recorded snapshot back. Nothing is recorded until `enabled`; the snapshot at that
+// point is the oldest state undo can return to.
+function useUndoHistory(snapshot, restore, enabled) {
+  const historyRef = useRef({ past: [], future: [], current: null, lastEdit: 0, restoring: null });
+  const restoreRef = useRef(restore);
+  restoreRef.current = restore;
+  const [sizes, setSizes] = useState({ past: 0, future: 0 });
+  const sync = () => setSizes({ past: historyRef.current.past.length, future: historyRef.current.future.length });
+
+  useEffect(() => {
+    const h = historyRef.current;
+    if (!enabled) return;
+    // restore() sets each piece of state separately, so compare the pieces
+    const restored = h.restoring && Object.keys(snapshot).every(k => snapshot[k] === h.restoring[k]);
+    if (h.current === null || restored) {
+      h.current = snapshot;
+      h.restoring = null;
+      return;
+    }
+    const now = Date.now();
+    if (now - h.lastEdit > HISTORY_GROUP_MS) {
+      h.past = [...h.past, h.current].slice(-HISTORY_LIMIT);
+      h.future = [];
+      sync();
+    }
+    h.current = snapshot;
+    h.lastEdit = now;
+  }, [snapshot, enabled]);
+
+  const step = useCallback((from, to) => {
+    const h = historyRef.current;
+    if (h[from].length === 0) return;
+    const target = h[from][h[from].length - 1];
+    h[from] = h[from].slice(0, -1);
+    h[to] = [...h[to], h.current];
+    h.current = target;
+    h.restoring = target;
+    h.lastEdit = 0;
+    restoreRef.current(target);
+    sync();
+  }, []);
+
+  return {
+    undo: useCallback(() => step("past", "future"), [step]),
+    redo: useCallback(() => step("future", "past"), [step]),
+    canUndo: sizes.past > 0,
+    canRedo: sizes.future > 0,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LIST HELPERS
+// ═══════════════════════════════════════════════════════════════
+// The random suffix keeps ids distinct when rows are added within the same millisecond.
+const makeId = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Escalation rows are keyed by id; older presets may have lost theirs, so give them new ones
+const withEscalationIds = (product) => product.escalations?.some(e => !e.id)
+  ? { ...product, escalations: product.escalations.map(e => e.id ? e : { ...e, id: makeId("esc") }) }
+  : product;
+
+const insertAfter = (list, idx, item) => [...list.slice(0, idx + 1), item, ...list.slice(idx + 1)];
+
+// Product shares for a changed selection: products still selected keep their share and a
+// newly ticked product starts with an even share, then everything is rescaled to 100%.
+function reshareSelection(shares, prevIds, nextIds) {
+  const prev = normalizeShares(shares, prevIds);
+  const next = {};
+  nextIds.forEach(id => { next[id] = prev[id] ?? 100 / nextIds.length; });
+  return roundShares(next, nextIds);
+}
+
+// Tier with a new bulk or retail selection and its share map updated to match.
+function withSelection(tier, kind, nextIds) {
+  const idsField = kind === "bulk" ? "bulkProductIds" : "retailProductIds";
+  const sharesField = kind === "bulk" ? "bulkShares" : "retailShares";
+  return { ...tier, [idsField]: nextIds, [sharesField]: reshareSelection(tier[sharesField], tier[idsField] || [], nextIds) };
+}
+
+// Channel with a new product selection and its share map updated to match.
+const withChannelProducts = (channel, nextIds) => ({
+  ...channel, productIds: nextIds, productShares: reshareSelection(channel.productShares, channel.productIds || [], nextIds),
+});
+
+// Drops tier product selections that point at products no longer in the lists.
+function reconcileTierProducts(tiers, bulkProducts, retailProducts) {
+  const bulkIds = new Set(bulkProducts.map(p => p.id));
+  const retailIds = new Set(retailProducts.map(p => p.id));
+  return tiers.map(t => {
+    const kept = withSelection(t, "bulk", (t.bulkProductIds || []).filter(id => bulkIds.has(id)));
+    return withSelection(kept, "retail", (t.retailProductIds || []).filter(id => retailIds.has(id)));
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════
 // MAIN DASHBOARD
 // ═══════════════════════════════════════════════════════════════
@@ -544,85 +1235,438 @@ export default function RitualPowdersDashboard() {
   const [retailProducts, setRetailProducts] = useState(DEFAULT_RETAIL_PRODUCTS);
   const [tiers, setTiers] = useState(DEFAULT_TIERS);
   const [scenarios, setScenarios] = useState(DEFAULT_SCENARIOS);
+  const [horizon, setHorizon] = useState(DEFAULT_HORIZON);
+  const [startMonth, setStartMonth] = useState(DEFAULT_SETTINGS.startMonth);
+  const [seasonalityProfiles, setSeasonalityProfiles] = useState(DEFAULT_SETTINGS.seasonalityProfiles);
+  const [opex, setOpex] = useState(DEFAULT_OPEX);
+  const [orderRounding, setOrderRounding] = useState(DEFAULT_SETTINGS.orderRounding);
+  const [channels, setChannels] = useState(DEFAULT_SETTINGS.channels);
+  const [cashFlow, setCashFlow] = useState(DEFAULT_CASH_FLOW);
+  const [actuals, setActuals] = useState({ rows: [], scenarioIdx: 0, reforecast: false });
+  const [actualsImport, setActualsImport] = useState(null);
+  const [logImport, setLogImport] = useState(null);
+  const [simulation, setSimulation] = useState(DEFAULT_SIMULATION);
   const [activeSection, setActiveSection] = useState("projections");
   const [chartMetric, setChartMetric] = useState("revenue");
+  const [cohortScenarioIdx, setCohortScenarioIdx] = useState(0);
+  const [productionScenarioIdx, setProductionScenarioIdx] = useState(0);
+  const [cashScenarioIdx, setCashScenarioIdx] = useState(0);
   const [showPresets, setShowPresets] = useState(false);
+  const [compareWith, setCompareWith] = useState(null);
+  const [sharedLink, setSharedLink] = useState(null);
+  const [linkStatus, setLinkStatus] = useState(null);
+  const [sessionReady, setSessionReady] = useState(false);
 
   const getPresetData = useCallback(() => ({
-    bulkProducts, retailProducts, tiers, scenarios,
-  }), [bulkProducts, retailProducts, tiers, scenarios]);
+    bulkProducts, retailProducts, tiers, scenarios, horizon, startMonth, seasonalityProfiles, opex, orderRounding, channels, cashFlow, actuals, simulation,
+  }), [bulkProducts, retailProducts, tiers, scenarios, horizon, startMonth, seasonalityProfiles, opex, orderRounding, channels, cashFlow, actuals, simulation]);
+
+  const presetData = useMemo(getPresetData, [getPresetData]);
 
+  // `data` has already been migrated and validated by readPreset
   const loadPresetData = useCallback((data) => {
-    if (data.bulkProducts) setBulkProducts(data.bulkProducts);
-    if (data.retailProducts) setRetailProducts(data.retailProducts);
-    if (data.tiers) setTiers(data.tiers);
+    // A preset may carry tiers without products (or vice versa), so check its tier
+    // selections against whichever product lists end up loaded
+    const nextBulk = data.bulkProducts?.map(withEscalationIds) || bulkProducts;
+    const nextRetail = data.retailProducts?.map(withEscalationIds) || retailProducts;
+    if (data.bulkProducts) setBulkProducts(nextBulk);
+    if (data.retailProducts) setRetailProducts(nextRetail);
+    setTiers(t => reconcileTierProducts(data.tiers || t, nextBulk, nextRetail));
+    const productIds = new Set([...nextBulk, ...nextRetail].map(p => p.id));
+    setChannels(c => (data.channels || c).map(x => withChannelProducts(x, (x.productIds || []).filter(id => productIds.has(id)))));
     if (data.scenarios) setScenarios(data.scenarios);
-  }, []);
+    if (data.horizon !== undefined) setHorizon(data.horizon);
+    if (data.startMonth !== undefined) setStartMonth(data.startMonth);
+    if (data.seasonalityProfiles) setSeasonalityProfiles(data.seasonalityProfiles);
+    if (data.opex) setOpex(data.opex);
+    if (data.cashFlow) setCashFlow(data.cashFlow);
+    if (data.actuals) setActuals({ scenarioIdx: 0, reforecast: false, ...data.actuals });
+    if (data.orderRounding !== undefined) setOrderRounding(data.orderRounding);
+    if (data.simulation) setSimulation({ ...DEFAULT_SIMULATION, ...data.simulation });
+  }, [bulkProducts, retailProducts]);
 
   const updateBulk = (idx, field, val) => setBulkProducts(p => p.map((x, i) => i === idx ? { ...x, [field]: val } : x));
   const updateRetail = (idx, field, val) => setRetailProducts(p => p.map((x, i) => i === idx ? { ...x, [field]: val } : x));
   const updateTier = (idx, field, val) => setTiers(t => t.map((x, i) => i === idx ? { ...x, [field]: val } : x));
+  const updateTierSelection = (idx, kind, ids) => setTiers(t => t.map((x, i) => i === idx ? withSelection(x, kind, ids) : x));
+  const updateTierShare = (idx, kind, id, val) => setTiers(t => t.map((x, i) => {
+    if (i !== idx) return x;
+    const ids = (kind === "bulk" ? x.bulkProductIds : x.retailProductIds) || [];
+    const field = kind === "bulk" ? "bulkShares" : "retailShares";
+    return { ...x, [field]: roundShares(rebalanceShares(x[field], ids, id, val), ids) };
+  }));
+
+  const addBulk = () => setBulkProducts(p => [...p, { id: makeId("bulk"), name: "New Bulk Product", sizeLbs: 1, servings: 180, wholesale: 80, cogs: 13, moq: 1, casePack: 1, batchSize: 50, leadTimeMonths: 1, safetyStockMonths: 0.5, priceBreaks: [], escalations: [] }]);
+  const duplicateBulk = (idx) => setBulkProducts(p => insertAfter(p, idx, { ...p[idx], id: makeId("bulk"), name: `${p[idx].name} (copy)` }));
+  const removeBulk = (idx) => {
+    const id = bulkProducts[idx]?.id;
+    setBulkProducts(p => p.filter((_, i) => i !== idx));
+    setTiers(t => t.map(x => withSelection(x, "bulk", (x.bulkProductIds || []).filter(b => b !== id))));
+    setChannels(c => c.map(x => withChannelProducts(x, (x.productIds || []).filter(p => p !== id))));
+  };
+
+  const addRetail = () => setRetailProducts(p => [...p, { id: makeId("retail"), name: "New Retail Product", sizeLbs: 0.375, retailPrice: 24, wholesalePrice: 12, cogs: 4, moq: 6, casePack: 6, batchSize: 500, leadTimeMonths: 2, safetyStockMonths: 1, priceBreaks: [], escalations: [] }]);
+  const duplicateRetail = (idx) => setRetailProducts(p => insertAfter(p, idx, { ...p[idx], id: makeId("retail"), name: `${p[idx].name} (copy)` }));
+  const removeRetail = (idx) => {
+    const id = retailProducts[idx]?.id;
+    setRetailProducts(p => p.filter((_, i) => i !== idx));
+    setTiers(t => t.map(x => withSelection(x, "retail", (x.retailProductIds || []).filter(r => r !== id))));
+    setChannels(c => c.map(x => withChannelProducts(x, (x.productIds || []).filter(p => p !== id))));
+  };
+
+  const addTier = () => setTiers(t => [...t, {
+    id: makeId("tier"), label: "New Tier",
+    bulkProductIds: bulkProducts.slice(0, 1).map(p => p.id), drinksPerDay: 20, tspPerDrink: 1, daysPerMonth: 30,
+    retailProductIds: retailProducts.slice(0, 1).map(p => p.id), retailUnitsPerMonth: 10,
+    bulkShares: roundShares({}, bulkProducts.slice(0, 1).map(p => p.id)), retailShares: roundShares({}, retailProducts.slice(0, 1).map(p => p.id)),
+    monthlyChurnPct: null, rampPcts: [],
+  }]);
+  const duplicateTier = (idx) => setTiers(t => insertAfter(t, idx, { ...t[idx], id: makeId("tier"), label: `${t[idx].label} (copy)` }));
+  // The removed tier's share of each scenario's mix is spread over the remaining tiers
+  const removeTier = (idx) => {
+    if (tiers.length <= 1) return;
+    const remaining = tiers.filter((_, i) => i !== idx);
+    setTiers(remaining);
+    setScenarios(s => s.map(x => ({ ...x, tierMix: roundShares(x.tierMix, remaining.map(t => t.id)) })));
+  };
   const updateScenario = (idx, field, val) => setScenarios(s => s.map((x, i) => i === idx ? { ...x, [field]: val } : x));
   const removeScenario = (idx) => setScenarios(s => s.filter((_, i) => i !== idx));
   const addScenario = () => {
     if (scenarios.length >= 5) return;
     setScenarios(s => [...s, {
       name: `Scenario ${s.length + 1}`, startingPartners: 1, newPartnersPerMonth: 2,
-      pctSmall: 50, pctMedium: 35, pctLarge: 15, monthlyChurnPct: 2, retailAttachPct: 50,
+      tierMix: roundShares({}, tiers.map(t => t.id)), monthlyChurnPct: 2, retailAttachPct: 50, promoPct: 0, promoMonths: 0,
+      cohortModel: false, wholePartners: false, consumptionProfileId: null, acquisitionProfileId: null,
       color: SCENARIO_COLORS[s.length] || "#999",
     }]);
   };
 
-  const allProjections = useMemo(() =>
-    scenarios.map(s => ({ scenario: s, data: projectScenario(s, tiers, bulkProducts, retailProducts) })),
-    [scenarios, tiers, bulkProducts, retailProducts]
-  );
+  const updateProfile = (idx, field, val) => setSeasonalityProfiles(p => p.map((x, i) => i === idx ? { ...x, [field]: val } : x));
+  const updateProfileMonth = (idx, month, val) => setSeasonalityProfiles(p => p.map((x, i) => i === idx ? { ...x, multipliers: x.multipliers.map((v, j) => j === month ? val : v) } : x));
+  const addProfile = () => setSeasonalityProfiles(p => [...p, {
+    id: makeId("season"), name: `Profile ${p.length + 1}`, multipliers: Array(12).fill(1),
+  }]);
+  const removeProfile = (idx) => {
+    const id = seasonalityProfiles[idx]?.id;
+    setSeasonalityProfiles(p => p.filter((_, i) => i !== idx));
+    setScenarios(s => s.map(x => ({
+      ...x,
+      consumptionProfileId: x.consumptionProfileId === id ? null : x.consumptionProfileId,
+      acquisitionProfileId: x.acquisitionProfileId === id ? null : x.acquisitionProfileId,
+    })));
+  };
 
-  const chartData = useMemo(() => {
-    return Array.from({ length: 12 }, (_, i) => {
-      const point = { month: i + 1, label: `M${i + 1}` };
-      allProjections.forEach(({ scenario, data }) => {
-        const d = data[i];
-        point[`${scenario.name}_rev`] = d.totalRevenue;
-        point[`${scenario.name}_profit`] = d.totalProfit;
-        point[`${scenario.name}_partners`] = d.totalActive;
-        point[`${scenario.name}_margin`] = d.marginPct;
-        point[`${scenario.name}_cumRev`] = d.cumulativeRev;
-      });
-      return point;
-    });
-  }, [allProjections]);
+  const updateChannel = (idx, field, val) => setChannels(c => c.map((x, i) => i === idx ? { ...x, [field]: val } : x));
+  const updateChannelProducts = (idx, ids) => setChannels(c => c.map((x, i) => i === idx ? withChannelProducts(x, ids) : x));
+  const updateChannelShare = (idx, id, val) => setChannels(c => c.map((x, i) => i === idx
+    ? { ...x, productShares: roundShares(rebalanceShares(x.productShares, x.productIds || [], id, val), x.productIds || []) } : x));
+  // The web store sells at retail price, so switching to DTC drops any bulk products
+  const updateChannelKind = (idx, kind) => setChannels(c => c.map((x, i) => {
+    if (i !== idx) return x;
+    const ids = kind === "dtc" ? (x.productIds || []).filter(id => retailProducts.some(p => p.id === id)) : x.productIds || [];
+    return withChannelProducts({ ...x, kind }, ids);
+  }));
+  const addChannel = () => setChannels(c => [...c, {
+    id: makeId("channel"), name: "New Channel", kind: "distributor", marginPct: 30, costPerUnit: 0, fixedMonthly: 0,
+    productIds: retailProducts.slice(0, 1).map(p => p.id), productShares: roundShares({}, retailProducts.slice(0, 1).map(p => p.id)),
+  }]);
+  const removeChannel = (idx) => {
+    const id = channels[idx]?.id;
+    setChannels(c => c.filter((_, i) => i !== idx));
+    setScenarios(s => s.map(x => {
+      if (!x.channels?.[id]) return x;
+      const { [id]: _removed, ...rest } = x.channels;
+      return { ...x, channels: rest };
+    }));
+  };
+  // A channel switched on for the first time starts from a modest default volume
+  const updateScenarioChannel = (idx, channelId, field, val) => setScenarios(s => s.map((x, i) => {
+    if (i !== idx) return x;
+    const prev = x.channels?.[channelId] || (channelId === CAFE_CHANNEL_ID ? {} : { startUnits: 100, growthPct: 5 });
+    return { ...x, channels: { ...x.channels, [channelId]: { ...prev, [field]: val } } };
+  }));
+
+  const updateOpex = (field, val) => setOpex(o => ({ ...o, [field]: val }));
+  const updateOpexLine = (idx, field, val) => setOpex(o => ({ ...o, fixedLines: o.fixedLines.map((x, i) => i === idx ? { ...x, [field]: val } : x) }));
+  const addOpexLine = () => setOpex(o => ({ ...o, fixedLines: [...o.fixedLines, { id: makeId("opex"), name: "New cost", monthly: 0 }] }));
+  const removeOpexLine = (idx) => setOpex(o => ({ ...o, fixedLines: o.fixedLines.filter((_, i) => i !== idx) }));
+
+  const settings = useMemo(() => ({ startMonth, seasonalityProfiles, opex, orderRounding, channels }), [startMonth, seasonalityProfiles, opex, orderRounding, channels]);
+
+  // Writes a solved model back into state; only the parts that changed are replaced.
+  const applyModel = (scenarioIdx, model) => {
+    setScenarios(s => s.map((x, i) => i === scenarioIdx ? model.scenario : x));
+    if (model.tiers !== tiers) setTiers(model.tiers);
+    if (model.bulkProducts !== bulkProducts) setBulkProducts(model.bulkProducts);
+    if (model.retailProducts !== retailProducts) setRetailProducts(model.retailProducts);
+  };
 
-  const primary = allProjections[0]?.data;
-  const p12 = primary?.[11];
-  const p6 = primary?.[5];
-  const totalYear = primary?.reduce((s, d) => s + d.totalRevenue, 0) || 0;
-  const totalProfitYear = primary?.reduce((s, d) => s + d.totalProfit, 0) || 0;
+  const updateSimulation = (field, val) => setSimulation(s => ({ ...s, [field]: val }));
+  const updateSimRange = (key, field, val) => setSimulation(s => ({ ...s, ranges: { ...s.ranges, [key]: { ...s.ranges[key], [field]: val } } }));
+  const simScenarioIdx = Math.min(simulation.scenarioIdx, scenarios.length - 1);
+  const simParams = useMemo(() => simulation.enabled && scenarios[simScenarioIdx] ? {
+    scenario: scenarios[simScenarioIdx], tiers, bulkProducts, retailProducts, horizon, settings, config: simulation,
+  } : null, [simulation, simScenarioIdx, scenarios, tiers, bulkProducts, retailProducts, horizon, settings]);
+  const { result: simResult, running: simRunning, error: simError } = useSimulation(simParams);
+  const simBands = simulation.enabled && simResult ? simResult.bands : null;
 
-  const SECTIONS = [
-    { key: "projections", label: "Projections", icon: "\u{1F4C8}" },
-    { key: "economics", label: "Product Economics", icon: "\u{1F9EE}" },
-    { key: "tiers", label: "Cafe Tiers", icon: "\u2615" },
-    { key: "scenarios", label: "Scenarios", icon: "\u{1F39B}" },
-  ];
+  const allProjections = useMemo(() =>
+    scenarios.map(s => {
+      const data = projectScenario(s, tiers, bulkProducts, retailProducts, horizon, settings);
+      return {
+        scenario: s, data, years: calcAnnualRollups(data), breakEven: calcBreakEven(data),
+        unit: calcScenarioUnitEconomics(s, tiers, bulkProducts, retailProducts, settings),
+      };
+    }),
+    [scenarios, tiers, bulkProducts, retailProducts, horizon, settings]
+  );
 
-  const metricTabs = [
-    { key: "revenue", label: "Revenue" },
-    { key: "profit", label: "Gross Profit" },
-    { key: "partners", label: "Partners" },
+  const actualsIdx = Math.min(actuals.scenarioIdx, scenarios.length - 1);
+  const variance = useMemo(() => allProjections[actualsIdx]
+    ? calcVariance(actuals.rows, allProjections[actualsIdx].data, bulkProducts, retailProducts) : [],
+  [actuals.rows, allProjections, actualsIdx, bulkProducts, retailProducts]);
+  const reforecasted = useMemo(() => actuals.reforecast && scenarios[actualsIdx]
+    ? reforecast(scenarios[actualsIdx], tiers, bulkProducts, retailProducts, horizon, settings, actuals.rows) : null,
+  [actuals.reforecast, actuals.rows, scenarios, actualsIdx, tiers, bulkProducts, retailProducts, horizon, settings]);
+
+  const importActuals = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      const result = parseActualsCsv(String(ev.target.result), tiers, bulkProducts);
+      setActualsImport({ fileName: file.name, ...result });
+      if (result.rows.length > 0) setActuals(a => ({ ...a, rows: result.rows }));
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+  const downloadActualsTemplate = () => {
+    const url = URL.createObjectURL(new Blob([actualsTemplate(tiers, bulkProducts)], { type: "text/csv" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "actuals-template.csv";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+  const actualsFileRef = useRef(null);
+
+  const calibration = useMemo(() => actuals.partnerLog?.length > 0 && scenarios[actualsIdx]
+    ? calibrateScenario(actuals.partnerLog, scenarios[actualsIdx], tiers, bulkProducts, retailProducts, settings) : null,
+  [actuals.partnerLog, scenarios, actualsIdx, tiers, bulkProducts, retailProducts, settings]);
+  const importPartnerLog = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      const result = parsePartnerLog(String(ev.target.result), tiers);
+      setLogImport({ fileName: file.name, ...result });
+      if (result.partners.length > 0) setActuals(a => ({ ...a, partnerLog: result.partners }));
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+  // The calibrated scenario keeps the base scenario's seasonality, discounts and channels
+  const addCalibratedScenario = () => {
+    if (!calibration || scenarios.length >= 5) return;
+    const taken = new Set(scenarios.map(s => s.name));
+    let name = "Calibrated";
+    for (let n = 2; taken.has(name); n++) name = `Calibrated ${n}`;
+    setScenarios(s => [...s, {
+      ...s[actualsIdx], ...calibration.fit, name, cohortModel: false, wholePartners: false,
+      color: SCENARIO_COLORS[s.length] || "#999",
+    }]);
+  };
+  const logFileRef = useRef(null);
+
+  const chartData = useMemo(() => {
+    let actualCumRev = 0;
+    return Array.from({ length: horizon }, (_, i) => {
+      const point = { month: i + 1, label: `M${i + 1}` };
+      allProjections.forEach(({ scenario, data }) => {
+        const d = data[i];
+        point[`${scenario.name}_rev`] = d.totalRevenue;
+        point[`${scenario.name}_profit`] = d.totalProfit;
+        point[`${scenario.name}_partners`] = d.totalActive;
+        point[`${scenario.name}_margin`] = d.marginPct;
+        point[`${scenario.name}_cumRev`] = d.cumulativeRev;
+        point[`${scenario.name}_ebitda`] = d.ebitda;
+      });
+      // Actuals only cover what the CSV reports; the re-forecast covers every metric
+      const a = actuals.rows.find(r => r.month === i + 1);
+      if (a?.revenue != null) { actualCumRev += a.revenue; point.actual_rev = a.revenue; point.actual_cumRev = actualCumRev; }
+      if (a?.partners != null) point.actual_partners = a.partners;
+      const f = reforecasted?.months.find(d => d.month === i + 1);
+      if (f) {
+        point.reforecast_rev = f.totalRevenue;
+        point.reforecast_profit = f.totalProfit;
+        point.reforecast_partners = f.totalActive;
+        point.reforecast_margin = f.marginPct;
+        point.reforecast_cumRev = f.cumulativeRev;
+        point.reforecast_ebitda = f.ebitda;
+      }
+      if (simBands) {
+        Object.entries(SIM_METRIC_KEYS).forEach(([metric, key]) => {
+          const b = simBands[key]?.[i];
+          if (b) { point[`sim_${metric}_band`] = [b.p10, b.p90]; point[`sim_${metric}_p50`] = b.p50; }
+        });
+      }
+      return point;
+    });
+  }, [allProjections, horizon, simBands, actuals.rows, reforecasted]);
+
+  const productionIdx = Math.min(productionScenarioIdx, scenarios.length - 1);
+  const productionPlan = useMemo(() => allProjections[productionIdx]
+    ? planProduction(allProjections[productionIdx].data, bulkProducts, retailProducts) : null,
+  [allProjections, productionIdx, bulkProducts, retailProducts]);
+
+  // Production runs are part of the cash picture, so every scenario gets its own plan here
+  const cashFlows = useMemo(() =>
+    allProjections.map(({ data }) => calcCashFlow(data, planProduction(data, bulkProducts, retailProducts), channels, cashFlow)),
+  [allProjections, bulkProducts, retailProducts, channels, cashFlow]);
+  const cashIdx = Math.min(cashScenarioIdx, scenarios.length - 1);
+  const cashChartData = useMemo(() => Array.from({ length: horizon }, (_, i) => {
+    const point = { month: i + 1, label: `M${i + 1}` };
+    scenarios.forEach((s, j) => { point[s.name] = cashFlows[j]?.rows[i]?.cashBalance ?? 0; });
+    return point;
+  }), [cashFlows, scenarios, horizon]);
+
+  const primary = allProjections[0]?.data;
+  const primaryYears = allProjections[0]?.years || [];
+  const midMonth = horizon / 2;
+  const pEnd = primary?.[horizon - 1];
+  const pMid = primary?.[midMonth - 1];
+  const totalHorizon = primary?.reduce((s, d) => s + d.totalRevenue, 0) || 0;
+  const totalProfitHorizon = primary?.reduce((s, d) => s + d.totalProfit, 0) || 0;
+  const yearCount = Math.ceil(horizon / 12);
+
+  const SECTIONS = [
+    { key: "projections", label: "Projections", icon: "\u{1F4C8}" },
+    { key: "economics", label: "Product Economics", icon: "\u{1F9EE}" },
+    { key: "tiers", label: "Cafe Tiers", icon: "\u2615" },
+    { key: "channels", label: "Channels", icon: "\u{1F6D2}" },
+    { key: "scenarios", label: "Scenarios", icon: "\u{1F39B}" },
+    { key: "seasonality", label: "Seasonality", icon: "\u{1F326}" },
+    { key: "opex", label: "Operating Costs", icon: "\u{1F9FE}" },
+    { key: "production", label: "Production Plan", icon: "\u{1F3ED}" },
+    { key: "cashflow", label: "Cash Flow", icon: "\u{1F4B5}" },
+    { key: "actuals", label: "Actuals", icon: "\u{1F4CB}" },
+    { key: "simulation", label: "Simulation", icon: "\u{1F3B2}" },
+    { key: "sensitivity", label: "Sensitivity", icon: "\u{1F3AF}" },
+  ];
+
+  // On load, open a model shared by link (dropping the hash so a reload doesn't undo later
+  // edits), or else pick up the autosaved session. A shared model backs up the session it
+  // replaces so the banner can bring it back. Autosave and undo start after this.
+  useEffect(() => {
+    let cancelled = false;
+    readPresetLink(window.location.hash, { tiers }).then(link => {
+      if (cancelled) return;
+      const session = loadSession();
+      let restore = link;
+      if (!link) restore = session && { ...readPreset(session, { tiers }), section: session.section };
+      else if (link.preset && session) saveSession(session, SESSION_BACKUP_KEY);
+      if (restore?.preset) {
+        loadPresetData(restore.preset.data);
+        if (SECTIONS.some(s => s.key === restore.section)) setActiveSection(restore.section);
+      }
+      if (link) {
+        setSharedLink({ ...link, name: link.preset?.name || "Shared model", saved: false, hasBackup: Boolean(link.preset && session) });
+        window.history.replaceState(null, "", window.location.pathname + window.location.search);
+      }
+      setSessionReady(true);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (!sessionReady) return;
+    const timer = setTimeout(() => saveSession({ version: PRESET_VERSION, savedAt: new Date().toISOString(), section: activeSection, data: getPresetData() }), 500);
+    return () => clearTimeout(timer);
+  }, [sessionReady, getPresetData, activeSection]);
+
+  // Channels are included because deleting a product also drops it from their product lists
+  const historySnapshot = useMemo(() => ({ bulkProducts, retailProducts, tiers, scenarios, channels }), [bulkProducts, retailProducts, tiers, scenarios, channels]);
+  const { undo, redo, canUndo, canRedo } = useUndoHistory(historySnapshot, (snap) => {
+    setBulkProducts(snap.bulkProducts);
+    setRetailProducts(snap.retailProducts);
+    setTiers(snap.tiers);
+    setScenarios(snap.scenarios);
+    setChannels(snap.channels);
+  }, sessionReady);
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo. Fields you type into keep their own
+  // undo; sliders, checkboxes and radios have none, so they undo the model.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input:not([type=range]):not([type=checkbox]):not([type=radio]), textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); redo(); }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+
+  const copyShareLink = async () => {
+    let url = null;
+    try {
+      url = await encodePresetLink(getPresetData(), activeSection, window.location.href);
+      await navigator.clipboard.writeText(url);
+      setLinkStatus("Link copied");
+    } catch {
+      // No clipboard access (e.g. plain http): put the link in the address bar to copy from there.
+      // No url means the browser couldn't compress the model at all.
+      if (url) window.history.replaceState(null, "", url);
+      setLinkStatus(url ? "Copy the link from the address bar" : "Couldn't create a link");
+    }
+    setTimeout(() => setLinkStatus(null), 2500);
+  };
+
+  const saveSharedModel = () => {
+    const name = sharedLink.name.trim();
+    if (!name) return;
+    savePresetsToStorage(withPreset(loadPresets(), { ...sharedLink.preset, name, savedAt: new Date().toISOString() }));
+    setSharedLink(l => ({ ...l, saved: true }));
+  };
+
+  // Puts back the session the shared model replaced (autosave then stores it again)
+  const restorePreviousSession = () => {
+    const backup = loadSession(SESSION_BACKUP_KEY);
+    const { preset } = backup ? readPreset(backup, { tiers }) : {};
+    if (!preset) { setSharedLink(l => ({ ...l, hasBackup: false })); return; }
+    loadPresetData(preset.data);
+    if (SECTIONS.some(s => s.key === backup.section)) setActiveSection(backup.section);
+    setSharedLink(null);
+  };
+
+  const metricTabs = [
+    { key: "revenue", label: "Revenue" },
+    { key: "profit", label: "Gross Profit" },
+    { key: "ebitda", label: "EBITDA" },
+    { key: "partners", label: "Partners" },
     { key: "cumRev", label: "Cumulative Rev" },
+    { key: "margin", label: "Margin %" },
   ];
 
-  const metricSuffix = { revenue: "_rev", profit: "_profit", partners: "_partners", cumRev: "_cumRev" };
+  const metricSuffix = { revenue: "_rev", profit: "_profit", ebitda: "_ebitda", partners: "_partners", cumRev: "_cumRev", margin: "_margin" };
 
   const tierEcons = useMemo(() => tiers.map(t => ({
-    ...t, econ: calcTierEconomics(t, bulkProducts, retailProducts)
-  })), [tiers, bulkProducts, retailProducts]);
+    ...t, econ: calcTierEconomics(t, bulkProducts, retailProducts, orderRounding)
+  })), [tiers, bulkProducts, retailProducts, orderRounding]);
 
-  const revSplit = p12 ? [
-    { name: "Ingredient Supply", value: p12.bulkRevenue, color: PALETTE.accent },
-    { name: "Retail Sellthrough", value: p12.retailRevenue, color: PALETTE.green },
-  ] : [];
+  const profileOptions = [{ value: null, label: "None (flat)" }, ...seasonalityProfiles.map(p => ({ value: p.id, label: p.name }))];
+
+  const horizonTabs = HORIZON_OPTIONS.map(h => ({ key: h, label: `${h}M` }));
+
+  // Cafe revenue stays split into supply and sellthrough; every other channel gets one slice
+  const revSplit = pEnd ? [
+    { name: "Cafe Supply", value: pEnd.bulkRevenue, color: PALETTE.accent },
+    { name: "Cafe Retail", value: pEnd.retailRevenue, color: PALETTE.green },
+    ...channels.map((c, i) => ({ name: c.name, value: pEnd.channelRevenue[c.id] || 0, color: CHANNEL_COLORS[i % CHANNEL_COLORS.length] })),
+  ].filter(r => r.value > 0) : [];
+  const primaryChannels = channels.filter(c => scenarios[0] && isChannelEnabled(scenarios[0], c.id));
 
   return (
     <div style={{ background: PALETTE.bg, minHeight: "100vh", fontFamily: FONT, color: PALETTE.text }}>
@@ -645,7 +1689,7 @@ export default function RitualPowdersDashboard() {
               <div>
                 <div style={{ fontSize: 10, letterSpacing: "0.18em", textTransform: "uppercase", color: PALETTE.dark, fontWeight: 700, marginBottom: 4 }}>B2B Growth Model</div>
                 <p style={{ fontSize: 13, color: PALETTE.textMuted, margin: 0, maxWidth: 520 }}>
-                  12-month cafe partner growth projections. Edit product economics, tier definitions, and growth scenarios to model different paths.
+                  {horizon}-month cafe partner growth projections. Edit product economics, tier definitions, and growth scenarios to model different paths.
                 </p>
               </div>
             </div>
@@ -659,34 +1703,103 @@ export default function RitualPowdersDashboard() {
 
       <div style={{ maxWidth: 1300, margin: "0 auto", padding: "24px 0 64px" }}>
         <SectionNav sections={SECTIONS} active={activeSection} onChange={setActiveSection} rightElement={
-          <button onClick={() => setShowPresets(true)} style={{
-            background: PALETTE.warm, color: PALETTE.dark, border: "none", borderRadius: 20,
-            padding: "8px 18px", fontSize: 12, fontWeight: 700, cursor: "pointer", fontFamily: FONT,
-            transition: "all 0.2s", flexShrink: 0,
-          }}>Presets</button>
+          <div style={{ display: "flex", alignItems: "center", gap: 10, flexShrink: 0 }}>
+            <InfoTip text="Projection horizon in months. Charts, KPI cards, the scenario summary and the annual rollups all follow this setting.">
+              <TabBar tabs={horizonTabs} active={horizon} onChange={setHorizon} />
+            </InfoTip>
+            {[{ label: "\u21B6", title: "Undo (Ctrl+Z)", onClick: undo, enabled: canUndo }, { label: "\u21B7", title: "Redo (Ctrl+Shift+Z)", onClick: redo, enabled: canRedo }].map(b => (
+              <button key={b.title} onClick={b.onClick} disabled={!b.enabled} title={b.title} style={{
+                background: "none", color: PALETTE.textMuted, border: `1px solid ${PALETTE.border}`, borderRadius: 20,
+                padding: "5px 10px", fontSize: 14, lineHeight: 1, cursor: b.enabled ? "pointer" : "default", fontFamily: FONT,
+                opacity: b.enabled ? 1 : 0.4, flexShrink: 0,
+              }}>{b.label}</button>
+            ))}
+            <button onClick={copyShareLink} title="Copy a link that opens this model" style={{
+              background: "none", color: PALETTE.textMuted, border: `1px solid ${PALETTE.border}`, borderRadius: 20,
+              padding: "7px 16px", fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: FONT,
+              transition: "all 0.2s", flexShrink: 0, whiteSpace: "nowrap",
+            }}>{linkStatus || "Copy link"}</button>
+            <button onClick={() => setShowPresets(true)} style={{
+              background: PALETTE.warm, color: PALETTE.dark, border: "none", borderRadius: 20,
+              padding: "8px 18px", fontSize: 12, fontWeight: 700, cursor: "pointer", fontFamily: FONT,
+              transition: "all 0.2s", flexShrink: 0,
+            }}>Presets</button>
+          </div>
         } />
 
+        {sharedLink && (
+          <div className="fade-in" style={{ padding: "0 32px", marginBottom: 24 }}>
+            <div style={{
+              display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", padding: "12px 16px", borderRadius: 12, fontSize: 12,
+              background: PALETTE.card, border: `1px solid ${sharedLink.preset ? PALETTE.border : "#d44"}`,
+            }}>
+              {!sharedLink.preset ? (
+                <span style={{ flex: 1, color: "#d44" }}>
+                  {"Couldn't open the shared link: "}{sharedLink.errors.slice(0, 3).map(formatPresetError).join("; ")}
+                  {sharedLink.errors.length > 3 && ` (and ${sharedLink.errors.length - 3} more)`}
+                </span>
+              ) : sharedLink.saved ? (
+                <span style={{ flex: 1, color: PALETTE.green, fontWeight: 600 }}>{`Saved as preset \u201C${sharedLink.name.trim()}\u201D`}</span>
+              ) : (
+                <>
+                  <span style={{ flex: 1, color: PALETTE.text }}>
+                    <strong>Opened a shared model.</strong> Save it as a preset to keep it in this browser.
+                  </span>
+                  <input
+                    value={sharedLink.name} onChange={e => setSharedLink(l => ({ ...l, name: e.target.value }))}
+                    onKeyDown={e => e.key === "Enter" && saveSharedModel()}
+                    style={{ width: 180, padding: "6px 10px", borderRadius: 8, border: `1px solid ${PALETTE.border}`, fontSize: 12, fontFamily: FONT, color: PALETTE.text, outline: "none", background: PALETTE.cardAlt }}
+                  />
+                  <button onClick={saveSharedModel} style={{ background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 8, padding: "6px 12px", fontSize: 11, fontWeight: 600, cursor: "pointer", fontFamily: FONT }}>Save as preset</button>
+                </>
+              )}
+              {sharedLink.hasBackup && (
+                <button onClick={restorePreviousSession} title="Go back to the model you were working on before opening this link" style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, padding: "3px 10px", fontSize: 11, cursor: "pointer", fontFamily: FONT }}>Restore my previous work</button>
+              )}
+              <button onClick={() => setSharedLink(null)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, padding: "3px 10px", fontSize: 11, cursor: "pointer", fontFamily: FONT }}>Dismiss</button>
+            </div>
+          </div>
+        )}
+
         {/* ═══════════ PROJECTIONS ═══════════ */}
         {activeSection === "projections" && (
           <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
             <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 14 }}>
-              <KPI highlight label="M12 Monthly Revenue" tip="Projected total monthly revenue at month 12 (ingredient supply + retail sellthrough), derived from active partner count and per-partner economics." value={fmt(p12?.totalRevenue || 0)} sub={`${fmt((p12?.totalRevenue || 0) * 12)} annualized`} />
-              <KPI label="M12 Gross Profit" tip="Monthly gross profit at month 12. Revenue minus COGS across all active partners, weighted by tier mix and retail attach rates." value={fmt(p12?.totalProfit || 0)} sub={`${p12?.marginPct || 0}% margin`} />
-              <KPI label="M12 Partners" tip="Total active cafe partners at month 12 after accounting for monthly churn. Breakdown shows Small / Medium / Large tier split." value={Math.round(p12?.totalActive || 0)} sub={`${Math.round(p12?.small||0)}S / ${Math.round(p12?.medium||0)}M / ${Math.round(p12?.large||0)}L`} />
-              <KPI label="Year 1 Total Revenue" tip="Sum of all monthly revenue across the full 12-month projection. Not annualized: this is the actual cumulative total." value={fmt(totalYear)} sub={`${fmt(totalProfitYear)} profit`} />
-              <KPI label="M6 Revenue" tip="Monthly revenue at the 6-month mark. A useful checkpoint to gauge early traction before the full 12-month picture." value={fmt(p6?.totalRevenue || 0)} sub="Halfway checkpoint" />
+              <KPI highlight label={`M${horizon} Monthly Revenue`} tip={`Projected total monthly revenue at month ${horizon} (ingredient supply + retail sellthrough), derived from active partner count and per-partner economics.`} value={fmt(pEnd?.totalRevenue || 0)} sub={`${fmt((pEnd?.totalRevenue || 0) * 12)} annualized`} />
+              <KPI label={`M${horizon} Gross Profit`} tip={`Monthly gross profit at month ${horizon}. Revenue minus COGS across all active partners, weighted by tier mix and retail attach rates.`} value={fmt(pEnd?.totalProfit || 0)} sub={`${pEnd?.marginPct || 0}% margin`} />
+              <KPI label={`M${horizon} Partners`} tip={`Total active cafe partners at month ${horizon} after accounting for monthly churn. Breakdown shows the split across cafe tiers.`} value={Math.round(pEnd?.totalActive || 0)} sub={tiers.map(t => `${Math.round(pEnd?.activeByTier[t.id] || 0)} ${t.label}`).join(" / ")} />
+              <KPI label={horizon === 12 ? "Year 1 Total Revenue" : `${horizon}-Month Total Revenue`} tip={`Sum of all monthly revenue across the full ${horizon}-month projection. Not annualized: this is the actual cumulative total.`} value={fmt(totalHorizon)} sub={horizon === 12 ? `${fmt(totalProfitHorizon)} profit` : `Year ${yearCount}: ${fmt(primaryYears[yearCount - 1]?.revenue || 0)}`} />
+              <KPI label={`M${horizon} EBITDA`} tip="Monthly gross profit at the end of the horizon minus shipping, account management, acquisition cost, channel costs and fixed opex. The sub-line shows cash burned to date while cumulative EBITDA is negative." value={fmt(pEnd?.ebitda || 0)} sub={pEnd?.cumulativeBurn > 0 ? `${fmt(pEnd.cumulativeBurn)} cumulative burn` : `${fmt(pEnd?.cumulativeEbitda || 0)} cumulative`} />
+              <KPI label={`M${midMonth} Revenue`} tip={`Monthly revenue at the ${midMonth}-month mark. A useful checkpoint to gauge traction before the full ${horizon}-month picture.`} value={fmt(pMid?.totalRevenue || 0)} sub="Halfway checkpoint" />
             </div>
 
-            <Card title="12-Month Scenario Comparison" titleTip="Plots all active scenarios on the same axis. Switch between Revenue, Gross Profit, Partners, or Cumulative Revenue using the tabs." subtitle="All active scenarios plotted together" headerRight={<TabBar tabs={metricTabs} active={chartMetric} onChange={setChartMetric} />}>
+            <Card title={`${horizon}-Month Scenario Comparison`} titleTip="Plots all active scenarios on the same axis. Switch between Revenue, Gross Profit, EBITDA, Partners, Cumulative Revenue, or Margin % using the tabs." subtitle={simBands && scenarios[simScenarioIdx] ? `All active scenarios plotted together \u00B7 shaded band: P10\u2013P90 for ${scenarios[simScenarioIdx].name}` : "All active scenarios plotted together"} headerRight={<TabBar tabs={metricTabs} active={chartMetric} onChange={setChartMetric} />}>
               <ResponsiveContainer width="100%" height={360}>
                 <ComposedChart data={chartData} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
                   <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
                   <XAxis dataKey="label" tick={{ fontSize: 11, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
                   <YAxis tick={{ fontSize: 11, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} tickFormatter={v => chartMetric === "partners" ? v : chartMetric === "margin" ? `${v}%` : fmt(v)} />
-                  <Tooltip content={<ChartTooltip />} />
+                  <Tooltip content={<ChartTooltip format={chartMetric === "margin" ? v => `${v}%` : undefined} />} />
+                  {simBands && scenarios[simScenarioIdx] && SIM_METRIC_KEYS[chartMetric] && (
+                    <Area type="monotone" dataKey={`sim_${chartMetric}_band`} name={`${scenarios[simScenarioIdx].name} P10-P90`} stroke="none" fill={scenarios[simScenarioIdx].color} fillOpacity={0.25} dot={false} activeDot={false} />
+                  )}
+                  {simBands && scenarios[simScenarioIdx] && SIM_METRIC_KEYS[chartMetric] && (
+                    <Line type="monotone" dataKey={`sim_${chartMetric}_p50`} name={`${scenarios[simScenarioIdx].name} P50`} stroke={scenarios[simScenarioIdx].color} strokeDasharray="5 3" strokeWidth={1.5} dot={false} />
+                  )}
                   {scenarios.map((s, i) => (
                     <Area key={s.name} type="monotone" dataKey={`${s.name}${metricSuffix[chartMetric]}`} name={s.name} stroke={s.color} fill={s.color} fillOpacity={i === 0 ? 0.12 : 0.04} strokeWidth={i === 0 ? 2.5 : 1.5} dot={false} />
                   ))}
+                  {reforecasted && (
+                    <Line type="monotone" dataKey={`reforecast${metricSuffix[chartMetric]}`} name={`${scenarios[actualsIdx].name} re-forecast`} stroke={scenarios[actualsIdx].color} strokeDasharray="2 3" strokeWidth={2} dot={false} />
+                  )}
+                  {actuals.rows.length > 0 && ["revenue", "partners", "cumRev"].includes(chartMetric) && (
+                    <Line type="monotone" dataKey={`actual${metricSuffix[chartMetric]}`} name="Actual" stroke={PALETTE.text} strokeWidth={2} connectNulls
+                      dot={{ r: 3, fill: PALETTE.text, stroke: PALETTE.text }} />
+                  )}
+                  {allProjections.filter(p => p.breakEven.month).map(({ scenario, breakEven }) => (
+                    <ReferenceLine key={`be-${scenario.name}`} x={`M${breakEven.month}`} stroke={scenario.color} strokeDasharray="4 4"
+                      label={{ value: `${scenario.name} break-even`, position: "insideTopRight", fill: PALETTE.textMuted, fontSize: 10 }} />
+                  ))}
                 </ComposedChart>
               </ResponsiveContainer>
               <div style={{ display: "flex", gap: 16, justifyContent: "center", marginTop: 12, flexWrap: "wrap" }}>
@@ -696,11 +1809,17 @@ export default function RitualPowdersDashboard() {
                     {s.name}
                   </div>
                 ))}
+                {actuals.rows.length > 0 && (
+                  <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: PALETTE.textMuted }}>
+                    <div style={{ width: 10, height: 10, borderRadius: "50%", border: `2px solid ${PALETTE.text}`, boxSizing: "border-box" }} />
+                    Actual
+                  </div>
+                )}
               </div>
             </Card>
 
             <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 16 }}>
-              <Card title={`Monthly Breakdown: ${scenarios[0]?.name || "Base"}`} titleTip="Stacked bar showing the two B2B revenue streams for the primary scenario. Ingredient Supply is recurring bulk bag orders. Retail Sellthrough is wholesale pouch revenue, weighted by each tier's partner stocking rate." subtitle="Ingredient supply vs retail sellthrough">
+              <Card title={`Monthly Breakdown: ${scenarios[0]?.name || "Base"}`} titleTip="Stacked bar showing revenue by channel for the primary scenario. Ingredient Supply is recurring bulk bag orders from cafes. Retail Sellthrough is wholesale pouch revenue from cafes, weighted by each tier's partner stocking rate. Any distributor or web store channels the scenario enables are stacked on top." subtitle={primaryChannels.length > 0 ? "Revenue by channel" : "Ingredient supply vs retail sellthrough"}>
                 <ResponsiveContainer width="100%" height={260}>
                   <BarChart data={primary || []} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
                     <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
@@ -708,12 +1827,16 @@ export default function RitualPowdersDashboard() {
                     <YAxis tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} tickFormatter={fmt} />
                     <Tooltip content={<ChartTooltip />} />
                     <Bar dataKey="bulkRevenue" name="Ingredient Supply" stackId="rev" fill={PALETTE.accent} radius={[0, 0, 0, 0]} />
-                    <Bar dataKey="retailRevenue" name="Retail Sellthrough" stackId="rev" fill={PALETTE.green} radius={[3, 3, 0, 0]} />
+                    <Bar dataKey="retailRevenue" name="Retail Sellthrough" stackId="rev" fill={PALETTE.green} radius={primaryChannels.length > 0 ? [0, 0, 0, 0] : [3, 3, 0, 0]} />
+                    {primaryChannels.map((c, i) => (
+                      <Bar key={c.id} dataKey={d => d.channelRevenue[c.id] || 0} name={c.name} stackId="rev"
+                        fill={CHANNEL_COLORS[channels.indexOf(c) % CHANNEL_COLORS.length]} radius={i === primaryChannels.length - 1 ? [3, 3, 0, 0] : [0, 0, 0, 0]} />
+                    ))}
                   </BarChart>
                 </ResponsiveContainer>
               </Card>
 
-              <Card title="M12 Revenue Split" titleTip="Proportion of month 12 revenue coming from bulk ingredient supply versus retail pouch sellthrough." subtitle="Supply vs sellthrough at month 12">
+              <Card title={`M${horizon} Revenue Split`} titleTip={`Proportion of month ${horizon} revenue by channel: cafe ingredient supply, cafe retail sellthrough, and each distributor or web store channel the primary scenario enables.`} subtitle={`Revenue by channel at month ${horizon}`}>
                 <ResponsiveContainer width="100%" height={260}>
                   <PieChart>
                     <Pie data={revSplit} cx="50%" cy="50%" innerRadius={55} outerRadius={85} paddingAngle={4} dataKey="value" stroke="none">
@@ -722,7 +1845,7 @@ export default function RitualPowdersDashboard() {
                     <Tooltip formatter={(val) => fmtFull(val)} />
                   </PieChart>
                 </ResponsiveContainer>
-                <div style={{ display: "flex", justifyContent: "center", gap: 20 }}>
+                <div style={{ display: "flex", justifyContent: "center", gap: "6px 20px", flexWrap: "wrap" }}>
                   {revSplit.map(r => (
                     <div key={r.name} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12 }}>
                       <div style={{ width: 10, height: 10, borderRadius: 3, background: r.color }} />
@@ -734,37 +1857,83 @@ export default function RitualPowdersDashboard() {
               </Card>
             </div>
 
-            <Card title="Scenario Summary at Month 12" titleTip="Side-by-side comparison of all scenario outcomes at the 12-month mark, plus cumulative Year 1 totals." subtitle="Side-by-side comparison of all scenarios">
+            <Card title={`Partners by Tier: ${scenarios[0]?.name || "Base"}`} titleTip="Active partners in each cafe tier for the primary scenario, stacked so the top edge is total active partners." subtitle="Active partners per tier after churn">
+              <ResponsiveContainer width="100%" height={260}>
+                <ComposedChart data={primary || []} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
+                  <XAxis dataKey="label" tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
+                  <YAxis tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} />
+                  <Tooltip content={<ChartTooltip format={v => Math.round(v * 10) / 10} />} />
+                  {tiers.map((t, i) => (
+                    <Area key={t.id} type="monotone" dataKey={d => d.activeByTier[t.id] || 0} name={t.label} stackId="tiers"
+                      stroke={TIER_COLORS[i % TIER_COLORS.length]} fill={TIER_COLORS[i % TIER_COLORS.length]} fillOpacity={0.5} dot={false} />
+                  ))}
+                </ComposedChart>
+              </ResponsiveContainer>
+              <div style={{ display: "flex", gap: 16, justifyContent: "center", marginTop: 12, flexWrap: "wrap" }}>
+                {tiers.map((t, i) => (
+                  <div key={t.id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: PALETTE.textMuted }}>
+                    <div style={{ width: 10, height: 10, borderRadius: 3, background: TIER_COLORS[i % TIER_COLORS.length] }} />
+                    {t.label}
+                  </div>
+                ))}
+              </div>
+            </Card>
+
+            <Card title={`Scenario Summary at Month ${horizon}`} titleTip={`Side-by-side comparison of all scenario outcomes at the ${horizon}-month mark, plus revenue and profit rolled up per projection year.`} subtitle="Side-by-side comparison of all scenarios">
               <div style={{ overflowX: "auto" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
                   <thead>
                     <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
                       <Th>Scenario</Th>
-                      <Th tip="Total active cafe partners at month 12 after churn.">Partners</Th>
-                      <Th tip="Total monthly revenue at month 12 (supply + retail).">Monthly Rev</Th>
-                      <Th tip="Monthly gross profit at month 12 (revenue minus COGS).">Monthly Profit</Th>
+                      <Th tip={`Total active cafe partners at month ${horizon} after churn.`}>Partners</Th>
+                      <Th tip={`Total monthly revenue at month ${horizon} (supply + retail).`}>Monthly Rev</Th>
+                      <Th tip={`Monthly gross profit at month ${horizon} (revenue minus COGS).`}>Monthly Profit</Th>
                       <Th tip="Gross margin percentage: profit divided by revenue.">Margin</Th>
-                      <Th tip="Sum of all monthly revenue across the 12-month period.">Year 1 Rev</Th>
-                      <Th tip="Sum of all monthly profit across the 12-month period.">Year 1 Profit</Th>
+                      <Th tip={`Monthly EBITDA at month ${horizon}: gross profit minus variable operating costs and fixed opex.`}>Monthly EBITDA</Th>
+                      <Th tip="Peak cumulative cash burned (negative EBITDA) over the projection.">Max Burn</Th>
+                      <Th tip="First month with non-negative EBITDA (dashed line on the chart above). The sub-line shows when cumulative EBITDA recovers all earlier burn.">Break-even</Th>
+                      <Th tip="Months until a new partner's cumulative contribution (gross profit less shipping and account management, ramp-adjusted) covers its acquisition cost. Blended across the tier mix; per-tier values below.">Payback</Th>
+                      <Th tip="Lifetime contribution of a new partner: monthly contribution from tier economics, discounted by the tier's monthly churn. Blended across the tier mix; the sub-line is LTV divided by acquisition cost.">Partner LTV</Th>
+                      {Array.from({ length: yearCount }, (_, y) => (
+                        <Th key={y} tip={`Sum of monthly revenue (with gross profit and EBITDA below) across months ${y * 12 + 1}-${Math.min((y + 1) * 12, horizon)}.`}>Year {y + 1}</Th>
+                      ))}
                     </tr>
                   </thead>
                   <tbody>
-                    {allProjections.map(({ scenario, data }) => {
-                      const m12 = data[11];
-                      const yr = data.reduce((s, d) => s + d.totalRevenue, 0);
-                      const yrP = data.reduce((s, d) => s + d.totalProfit, 0);
+                    {allProjections.map(({ scenario, data, years, breakEven, unit }) => {
+                      const mEnd = data[horizon - 1];
                       return (
                         <tr key={scenario.name} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
                           <td style={{ padding: "12px 14px", display: "flex", alignItems: "center", gap: 8 }}>
                             <div style={{ width: 10, height: 10, borderRadius: "50%", background: scenario.color, flexShrink: 0 }} />
                             <span style={{ fontWeight: 600 }}>{scenario.name}</span>
                           </td>
-                          <td style={{ padding: "12px 14px" }}>{Math.round(m12.totalActive)}</td>
-                          <td style={{ padding: "12px 14px", fontWeight: 600 }}>{fmtFull(m12.totalRevenue)}</td>
-                          <td style={{ padding: "12px 14px", color: PALETTE.green }}>{fmtFull(m12.totalProfit)}</td>
-                          <td style={{ padding: "12px 14px", color: PALETTE.accent }}>{m12.marginPct}%</td>
-                          <td style={{ padding: "12px 14px", fontWeight: 600 }}>{fmt(yr)}</td>
-                          <td style={{ padding: "12px 14px", color: PALETTE.green }}>{fmt(yrP)}</td>
+                          <td style={{ padding: "12px 14px" }}>{Math.round(mEnd.totalActive)}</td>
+                          <td style={{ padding: "12px 14px", fontWeight: 600 }}>{fmtFull(mEnd.totalRevenue)}</td>
+                          <td style={{ padding: "12px 14px", color: PALETTE.green }}>{fmtFull(mEnd.totalProfit)}</td>
+                          <td style={{ padding: "12px 14px", color: PALETTE.accent }}>{mEnd.marginPct}%</td>
+                          <td style={{ padding: "12px 14px", fontWeight: 600, color: mEnd.ebitda < 0 ? "#d44" : PALETTE.green }}>{fmtFull(mEnd.ebitda)}</td>
+                          <td style={{ padding: "12px 14px" }}>{fmt(Math.max(...data.map(d => d.cumulativeBurn)))}</td>
+                          <td style={{ padding: "12px 14px" }}>
+                            <div style={{ fontWeight: 600 }}>{breakEven.month ? `M${breakEven.month}` : `>M${horizon}`}</div>
+                            <div style={{ fontSize: 10, color: PALETTE.textMuted }}>cum. {breakEven.cumulativeMonth ? `M${breakEven.cumulativeMonth}` : `>M${horizon}`}</div>
+                          </td>
+                          <td style={{ padding: "12px 14px" }}>
+                            <div style={{ fontWeight: 600 }}>{fmtMonths(unit.payback)}</div>
+                            <div style={{ fontSize: 10, color: PALETTE.textMuted, whiteSpace: "nowrap" }}>{unit.byTier.filter(t => t.weight > 0).map(t => `${t.label} ${t.payback === null ? "never" : t.payback}`).join(" \u00B7 ")}</div>
+                          </td>
+                          <td style={{ padding: "12px 14px" }}>
+                            <div style={{ fontWeight: 600, color: PALETTE.green }}>{fmtLtv(unit.ltv)}</div>
+                            <div style={{ fontSize: 10, color: PALETTE.textMuted }}>{unit.cac > 0 && Number.isFinite(unit.ltv) ? `${(unit.ltv / unit.cac).toFixed(1)}x CAC` : "\u2014"}</div>
+                          </td>
+                          {years.map(y => (
+                            <td key={y.year} style={{ padding: "12px 14px" }}>
+                              <div style={{ fontWeight: 600 }}>{fmt(y.revenue)}</div>
+                              <div style={{ fontSize: 10, color: PALETTE.green }}>{fmt(y.profit)} profit</div>
+                              <div style={{ fontSize: 10, color: y.ebitda < 0 ? "#d44" : PALETTE.textMuted }}>{fmt(y.ebitda)} EBITDA</div>
+                            </td>
+                          ))}
                         </tr>
                       );
                     })}
@@ -772,33 +1941,50 @@ export default function RitualPowdersDashboard() {
                 </table>
               </div>
             </Card>
+
+            {scenarios.length > 0 && (
+              <Card title="Cohort Retention" titleTip="Each row is one monthly signing cohort; each column shows how many partners from that cohort are still active in that month. Shading darkens with retention." subtitle={`Active partners per signing cohort: ${scenarios[Math.min(cohortScenarioIdx, scenarios.length - 1)].name}`} headerRight={<TabBar tabs={scenarios.map((s, i) => ({ key: i, label: s.name }))} active={Math.min(cohortScenarioIdx, scenarios.length - 1)} onChange={setCohortScenarioIdx} />}>
+                <CohortTriangle scenario={scenarios[Math.min(cohortScenarioIdx, scenarios.length - 1)]} tiers={tiers} horizon={horizon} settings={settings} />
+              </Card>
+            )}
           </div>
         )}
 
         {/* ═══════════ PRODUCT ECONOMICS ═══════════ */}
         {activeSection === "economics" && (
           <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
-            <Card title="Bulk Products" titleTip="Cafe-size bags sold as ingredient supply. Wholesale price and COGS drive per-bag margin. Servings per bag determines how many bags a cafe needs based on their daily drink volume." subtitle="Edit wholesale pricing and COGS to see margin impact across projections">
+            <Card title="Bulk Products" titleTip="Cafe-size bags sold as ingredient supply. Wholesale price and COGS drive per-bag margin. Servings per bag determines how many bags a cafe needs based on their daily drink volume." subtitle="Edit wholesale pricing and COGS to see margin impact across projections"
+              headerRight={<button onClick={addBulk} style={{ background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 8, padding: "6px 12px", fontSize: 11, fontWeight: 600, cursor: "pointer", fontFamily: FONT }}>+ Add Product</button>}>
               <div style={{ overflowX: "auto" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
                   <thead>
                     <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
                       <Th>Product</Th>
-                      <Th tip="Physical weight of the bag. Informational only, does not affect calculations.">Size (lbs)</Th>
+                      <Th tip="Pounds of powder in one bag. The Production Plan multiplies units by this to get the pounds to blend and order.">Size (lbs)</Th>
                       <Th tip="Number of individual drink servings per bag. Determines how many bags a cafe orders monthly based on daily drink volume.">Servings/Bag</Th>
+                      <Th tip="Fewest bags a cafe can order at once. Applies when orders are rounded (see Ordering below).">MOQ</Th>
+                      <Th tip="Bags are ordered in multiples of this. Applies when orders are rounded.">Case Pack</Th>
                       <Th tip="Price Ritual Powders charges the cafe per bag. B2B wholesale, not end-consumer pricing.">Wholesale</Th>
+                      <Th tip="Volume pricing: a cafe ordering at least this many bags in a month pays the lower unit price on the whole order.">Price Breaks</Th>
                       <Th tip="Cost of goods sold per bag: production, packaging, and ingredient costs.">COGS</Th>
                       <Th tip="Wholesale price minus COGS. Gross profit earned per bag sold.">Margin</Th>
                       <Th tip="Gross margin as a percentage of wholesale price.">Margin %</Th>
+                      <Th />
                     </tr>
                   </thead>
                   <tbody>
                     {bulkProducts.map((p, i) => (
                       <tr key={p.id} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
-                        <td style={{ padding: "12px", fontWeight: 600, minWidth: 160 }}>{p.name}</td>
+                        <td style={{ padding: "12px", minWidth: 160 }}>
+                          <input value={p.name} onChange={e => updateBulk(i, "name", e.target.value)}
+                            style={{ background: "none", border: "none", borderBottom: `1px solid ${PALETTE.border}`, color: PALETTE.text, fontSize: 12, fontWeight: 600, fontFamily: FONT, padding: "2px 0", outline: "none", width: "100%" }} />
+                        </td>
                         <td style={{ padding: "12px" }}><NumInput value={p.sizeLbs} onChange={v => updateBulk(i, "sizeLbs", v)} small min={0.5} step={0.5} suffix="lb" /></td>
                         <td style={{ padding: "12px" }}><NumInput value={p.servings} onChange={v => updateBulk(i, "servings", v)} small min={1} /></td>
+                        <td style={{ padding: "12px" }}><NumInput value={p.moq ?? 0} onChange={v => updateBulk(i, "moq", Math.max(0, v))} small min={0} /></td>
+                        <td style={{ padding: "12px" }}><NumInput value={p.casePack ?? 1} onChange={v => updateBulk(i, "casePack", Math.max(1, v))} small min={1} /></td>
                         <td style={{ padding: "12px" }}><NumInput value={p.wholesale} onChange={v => updateBulk(i, "wholesale", v)} prefix="$" min={0} /></td>
+                        <td style={{ padding: "12px" }}><PriceBreakEditor breaks={p.priceBreaks || []} listPrice={p.wholesale} onChange={v => updateBulk(i, "priceBreaks", v)} /></td>
                         <td style={{ padding: "12px" }}><NumInput value={p.cogs} onChange={v => updateBulk(i, "cogs", v)} prefix="$" min={0} step={0.01} /></td>
                         <td style={{ padding: "12px", fontWeight: 600, color: PALETTE.green }}>{fmtFull(calcBulkMargin(p))}</td>
                         <td style={{ padding: "12px" }}>
@@ -806,6 +1992,10 @@ export default function RitualPowdersDashboard() {
                             {pct(calcBulkMarginPct(p))}
                           </span>
                         </td>
+                        <td style={{ padding: "12px", textAlign: "right", whiteSpace: "nowrap" }}>
+                          <button onClick={() => duplicateBulk(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>Duplicate</button>
+                          <button onClick={() => removeBulk(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", marginLeft: 6, fontSize: 11, fontFamily: FONT }}>Remove</button>
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -813,25 +2003,36 @@ export default function RitualPowdersDashboard() {
               </div>
             </Card>
 
-            <Card title="Retail Products" titleTip="Pouches that cafes stock on shelves for customers to take home. RP sells at wholesale to the cafe. Retail price is what the cafe charges the end customer (informational, does not affect RP revenue)." subtitle="Pouches sold through cafe partners">
+            <Card title="Retail Products" titleTip="Pouches that cafes stock on shelves for customers to take home. RP sells at wholesale to the cafe. Retail price is what the end customer pays, and it is the price used for web store (DTC) sales." subtitle="Pouches sold through cafe partners"
+              headerRight={<button onClick={addRetail} style={{ background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 8, padding: "6px 12px", fontSize: 11, fontWeight: 600, cursor: "pointer", fontFamily: FONT }}>+ Add Product</button>}>
               <div style={{ overflowX: "auto" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
                   <thead>
                     <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
                       <Th>Product</Th>
                       <Th tip="What the cafe sells the pouch for to end consumers. Does not affect RP revenue, shown for reference.">Retail Price</Th>
+                      <Th tip="Fewest pouches a cafe can order at once. Applies when orders are rounded (see Ordering below).">MOQ</Th>
+                      <Th tip="Pouches ship in cases of this many, e.g. 6 or 12. Applies when orders are rounded.">Case Pack</Th>
                       <Th tip="Price Ritual Powders charges the cafe per pouch. This is the revenue per unit to RP.">Wholesale</Th>
+                      <Th tip="Volume pricing: a cafe ordering at least this many pouches in a month pays the lower unit price on the whole order.">Price Breaks</Th>
                       <Th tip="Cost of goods sold per pouch.">COGS</Th>
                       <Th tip="Wholesale price minus COGS per unit.">Margin</Th>
                       <Th tip="Gross margin as a percentage of wholesale price.">Margin %</Th>
+                      <Th />
                     </tr>
                   </thead>
                   <tbody>
                     {retailProducts.map((p, i) => (
                       <tr key={p.id} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
-                        <td style={{ padding: "12px", fontWeight: 600 }}>{p.name}</td>
+                        <td style={{ padding: "12px", minWidth: 140 }}>
+                          <input value={p.name} onChange={e => updateRetail(i, "name", e.target.value)}
+                            style={{ background: "none", border: "none", borderBottom: `1px solid ${PALETTE.border}`, color: PALETTE.text, fontSize: 12, fontWeight: 600, fontFamily: FONT, padding: "2px 0", outline: "none", width: "100%" }} />
+                        </td>
                         <td style={{ padding: "12px" }}><NumInput value={p.retailPrice} onChange={v => updateRetail(i, "retailPrice", v)} prefix="$" min={0} /></td>
+                        <td style={{ padding: "12px" }}><NumInput value={p.moq ?? 0} onChange={v => updateRetail(i, "moq", Math.max(0, v))} small min={0} /></td>
+                        <td style={{ padding: "12px" }}><NumInput value={p.casePack ?? 1} onChange={v => updateRetail(i, "casePack", Math.max(1, v))} small min={1} /></td>
                         <td style={{ padding: "12px" }}><NumInput value={p.wholesalePrice} onChange={v => updateRetail(i, "wholesalePrice", v)} prefix="$" min={0} /></td>
+                        <td style={{ padding: "12px" }}><PriceBreakEditor breaks={p.priceBreaks || []} listPrice={p.wholesalePrice} onChange={v => updateRetail(i, "priceBreaks", v)} /></td>
                         <td style={{ padding: "12px" }}><NumInput value={p.cogs} onChange={v => updateRetail(i, "cogs", v)} prefix="$" min={0} step={0.01} /></td>
                         <td style={{ padding: "12px", fontWeight: 600, color: PALETTE.green }}>{fmtFull(calcRetailMargin(p))}</td>
                         <td style={{ padding: "12px" }}>
@@ -839,18 +2040,58 @@ export default function RitualPowdersDashboard() {
                             {p.wholesalePrice > 0 ? pct(calcRetailMargin(p) / p.wholesalePrice) : "0%"}
                           </span>
                         </td>
+                        <td style={{ padding: "12px", textAlign: "right", whiteSpace: "nowrap" }}>
+                          <button onClick={() => duplicateRetail(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>Duplicate</button>
+                          <button onClick={() => removeRetail(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", marginLeft: 6, fontSize: 11, fontFamily: FONT }}>Remove</button>
+                        </td>
                       </tr>
                     ))}
                   </tbody>
                 </table>
               </div>
             </Card>
+
+            <Card title="Price & Cost Escalation" titleTip="Scheduled changes to a product's wholesale price (including its price breaks) or COGS, e.g. +5% COGS in month 7 or +8% price every 12 months. Repeat every 0 months for a one-off change. Projections apply them month by month; the per-partner figures on the Cafe Tiers cards stay at today's prices." subtitle="Per-product price and COGS changes over the projection">
+              <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+                {[
+                  ...bulkProducts.map((p, i) => ({ p, update: v => updateBulk(i, "escalations", v) })),
+                  ...retailProducts.map((p, i) => ({ p, update: v => updateRetail(i, "escalations", v) })),
+                ].map(({ p, update }) => {
+                  const list = p.escalations || [];
+                  return (
+                    <div key={p.id} style={{ display: "flex", flexDirection: "column", gap: 6, paddingBottom: 12, borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                        <span style={{ fontSize: 12, fontWeight: 600 }}>{p.name}</span>
+                        <button onClick={() => update([...list, { id: makeId("esc"), target: "price", pct: 5, startMonth: 13, everyMonths: 12 }])} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>+ Add Change</button>
+                      </div>
+                      {list.length === 0
+                        ? <span style={{ fontSize: 11, color: PALETTE.textLight }}>Constant price and COGS</span>
+                        : <EscalationEditor escalations={list} onChange={update} />}
+                    </div>
+                  );
+                })}
+              </div>
+            </Card>
+
+            <Card title="Ordering" titleTip="How each partner's monthly consumption turns into orders. Fractional bills exactly what is used. Round Up orders whole case packs (at least the MOQ) every month. Carry Leftover Stock only reorders when the cafe's leftover stock won't cover the month, so a rounded-up order carries into later months." subtitle="How consumption becomes orders in per-partner economics and projections">
+              <TabBar tabs={ORDER_ROUNDING_MODES.map(r => ({ key: r.value, label: r.label }))} active={orderRounding} onChange={setOrderRounding} />
+            </Card>
           </div>
         )}
 
         {/* ═══════════ CAFE TIERS ═══════════ */}
         {activeSection === "tiers" && (
           <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <p style={{ fontSize: 13, color: PALETTE.textMuted, margin: 0 }}>
+                Define each type of partner: the products they order, their volume, and how quickly they ramp up.
+              </p>
+              <button onClick={addTier} style={{
+                background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 10,
+                padding: "10px 20px", fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: FONT, whiteSpace: "nowrap",
+              }}>+ Add Tier</button>
+            </div>
+
             <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))", gap: 16 }}>
               {tiers.map((tier, i) => {
                 const econ = tierEcons[i]?.econ || {};
@@ -863,36 +2104,59 @@ export default function RitualPowdersDashboard() {
                   detail: `${fmtFull(p.wholesalePrice)} wholesale \u00B7 ${fmtFull(calcRetailMargin(p))} margin per unit`
                 }));
                 return (
-                  <Card key={tier.id} title={tier.label} titleTip={`Defines what a typical ${tier.label.toLowerCase()} partner looks like: which products they order, daily volume, and retail units if they stock pouches. The percentage of partners who actually stock retail is set per-scenario.`} subtitle="Consumption, product selection, and per-partner economics">
+                  <Card key={tier.id}
+                    title={<input value={tier.label} onChange={e => updateTier(i, "label", e.target.value)}
+                      style={{ background: "none", border: "none", borderBottom: `1px solid ${PALETTE.border}`, color: PALETTE.text, fontSize: 15, fontWeight: 600, fontFamily: FONT, padding: "2px 0", outline: "none", width: 160 }} />}
+                    titleTip={`Defines what a typical ${tier.label.toLowerCase()} partner looks like: which products they order, daily volume, and retail units if they stock pouches. The percentage of partners who actually stock retail is set per-scenario.`}
+                    subtitle="Consumption, product selection, and per-partner economics"
+                    headerRight={
+                      <div style={{ display: "flex", gap: 6 }}>
+                        <button onClick={() => duplicateTier(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>Duplicate</button>
+                        {tiers.length > 1 && <button onClick={() => removeTier(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>Remove</button>}
+                      </div>
+                    }>
                     <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
 
                       <div>
-                        <InfoTip text="Which bulk bag products this tier of cafe orders. If multiple are selected, total daily servings are split evenly across them.">
+                        <InfoTip text="Which bulk bag products this tier of cafe orders. If multiple are selected, total daily servings are split by the share next to each product.">
                           <span style={{ fontSize: 11, fontWeight: 600, color: PALETTE.textMuted, letterSpacing: "0.05em", textTransform: "uppercase", display: "block", marginBottom: 6 }}>Bulk Products</span>
                         </InfoTip>
-                        <CheckboxGroup options={bulkOpts} values={tier.bulkProductIds || []} onChange={v => updateTier(i, "bulkProductIds", v)} name={`bulk-${tier.id}`} />
+                        <CheckboxGroup options={bulkOpts} values={tier.bulkProductIds || []} onChange={v => updateTierSelection(i, "bulk", v)} name={`bulk-${tier.id}`}
+                          shares={normalizeShares(tier.bulkShares, tier.bulkProductIds || [])} onShareChange={(id, v) => updateTierShare(i, "bulk", id, v)} />
+                        {(tier.bulkProductIds || []).length === 0 && (
+                          <div style={{ fontSize: 11, color: PALETTE.accent, marginTop: 6 }}>No bulk products selected, so this tier orders nothing.</div>
+                        )}
                       </div>
 
                       <div style={{ borderTop: `1px solid ${PALETTE.borderLight}`, paddingTop: 14, display: "flex", flexDirection: "column", gap: 10 }}>
-                        <SliderRow label="Drinks / Day" value={tier.drinksPerDay} onChange={v => updateTier(i, "drinksPerDay", v)} min={1} max={150} tip="Total mushroom drinks this tier makes per day across all selected bulk products. Split evenly among them." />
+                        <SliderRow label="Drinks / Day" value={tier.drinksPerDay} onChange={v => updateTier(i, "drinksPerDay", v)} min={1} max={150} tip="Total mushroom drinks this tier makes per day across all selected bulk products, split by product share." />
                         <SliderRow label="Tsp / Drink" value={tier.tspPerDrink} onChange={v => updateTier(i, "tspPerDrink", v)} min={0.5} max={3} step={0.5} tip="Teaspoons of powder per drink. 1 tsp = 1 serving. Increase if cafes use a double dose or make larger drinks." />
                         <SliderRow label="Days / Month" value={tier.daysPerMonth} onChange={v => updateTier(i, "daysPerMonth", v)} min={15} max={31} tip="Operating days per month. Most cafes are 28-30. Reduce for weekend-only or seasonal partners." />
                       </div>
 
                       <div style={{ borderTop: `1px solid ${PALETTE.borderLight}`, paddingTop: 14 }}>
-                        <InfoTip text="Which retail pouches this tier stocks for take-home sales. If multiple are selected, total units/month are split evenly across them.">
+                        <InfoTip text="Which retail pouches this tier stocks for take-home sales. If multiple are selected, total units/month are split by the share next to each product.">
                           <span style={{ fontSize: 11, fontWeight: 600, color: PALETTE.textMuted, letterSpacing: "0.05em", textTransform: "uppercase", display: "block", marginBottom: 6 }}>Retail Products</span>
                         </InfoTip>
-                        <CheckboxGroup options={retailOpts} values={tier.retailProductIds || []} onChange={v => updateTier(i, "retailProductIds", v)} name={`retail-${tier.id}`} />
+                        <CheckboxGroup options={retailOpts} values={tier.retailProductIds || []} onChange={v => updateTierSelection(i, "retail", v)} name={`retail-${tier.id}`}
+                          shares={normalizeShares(tier.retailShares, tier.retailProductIds || [])} onShareChange={(id, v) => updateTierShare(i, "retail", id, v)} />
                       </div>
 
                       <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-                        <SliderRow label="Retail Units / Month" value={tier.retailUnitsPerMonth} onChange={v => updateTier(i, "retailUnitsPerMonth", v)} min={0} max={100} tip="Total pouches a stocking partner sells per month across all selected retail products. Split evenly among them." />
+                        <SliderRow label="Retail Units / Month" value={tier.retailUnitsPerMonth} onChange={v => updateTier(i, "retailUnitsPerMonth", v)} min={0} max={100} tip="Total pouches a stocking partner sells per month across all selected retail products, split by product share." />
+                      </div>
+
+                      <div style={{ borderTop: `1px solid ${PALETTE.borderLight}`, paddingTop: 14, display: "flex", flexDirection: "column", gap: 10 }}>
+                        <ToggleRow label="Own churn rate" checked={tier.monthlyChurnPct != null} onChange={v => updateTier(i, "monthlyChurnPct", v ? 2 : null)} tip="Give this tier its own monthly churn. When off, the tier uses each scenario's Monthly Churn slider." />
+                        {tier.monthlyChurnPct != null && (
+                          <SliderRow label="Tier Monthly Churn" value={tier.monthlyChurnPct} onChange={v => updateTier(i, "monthlyChurnPct", v)} min={0} max={20} step={0.5} suffix="%" tip="Percentage of this tier's active partners lost each month, in every scenario." />
+                        )}
+                        <RampEditor values={tier.rampPcts || []} onChange={v => updateTier(i, "rampPcts", v)} />
                       </div>
 
                       {/* Calculated Output */}
                       <div style={{ background: PALETTE.cardAlt, borderRadius: 10, padding: 14, marginTop: 4 }}>
-                        <InfoTip text="Calculated outputs based on all inputs above. Retail figures are per-partner assuming they stock retail. The scenario-level attach rate determines what fraction of partners actually do.">
+                        <InfoTip text="Calculated outputs based on all inputs above, at steady-state volume (after any onboarding ramp). Retail figures are per-partner assuming they stock retail. The scenario-level attach rate determines what fraction of partners actually do.">
                           <span style={{ fontSize: 10, fontWeight: 600, letterSpacing: "0.08em", textTransform: "uppercase", color: PALETTE.textMuted }}>Monthly Per-Partner Output</span>
                         </InfoTip>
                         <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
@@ -903,11 +2167,18 @@ export default function RitualPowdersDashboard() {
                             <span style={{ fontSize: 13, fontWeight: 600 }}>{econ.servingsPerMonth?.toLocaleString()}</span>
                           </div>
 
-                          {/* Bulk product breakdown */}
-                          {(econ.bulkBreakdown || []).map((b, bi) => (
-                            <div key={bi} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "4px 8px", background: PALETTE.bg, borderRadius: 6, fontSize: 11 }}>
-                              <span style={{ color: PALETTE.textMuted }}>{b.name}</span>
-                              <span style={{ fontWeight: 600 }}>{b.bags} bags \u00B7 {fmtFull(b.rev)}</span>
+                          {/* Product breakdown: what is ordered, with the underlying need when orders are rounded */}
+                          {[
+                            ...(econ.bulkBreakdown || []).map(b => ({ ...b, qty: b.bags, unit: "bags", multiple: econ.bulkBreakdown.length > 1 })),
+                            ...(econ.retailBreakdown || []).map(r => ({ ...r, qty: r.units, unit: "pouches", multiple: econ.retailBreakdown.length > 1 })),
+                          ].map(b => (
+                            <div key={b.id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "4px 8px", background: PALETTE.bg, borderRadius: 6, fontSize: 11 }}>
+                              <span style={{ color: PALETTE.textMuted }}>{b.name}{b.multiple ? ` (${pct(b.share)})` : ""}</span>
+                              <span style={{ fontWeight: 600 }}>
+                                {`${b.qty} ${b.unit}`}
+                                {orderRounding === "roundUp" && b.qty !== Math.round(b.need * 100) / 100 && <span style={{ color: PALETTE.textLight, fontWeight: 500 }}>{` (needs ${Math.round(b.need * 100) / 100})`}</span>}
+                                {` \u00B7 ${fmtFull(b.rev)}`}
+                              </span>
                             </div>
                           ))}
 
@@ -944,6 +2215,79 @@ export default function RitualPowdersDashboard() {
           </div>
         )}
 
+        {/* ═══════════ CHANNELS ═══════════ */}
+        {activeSection === "channels" && (
+          <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <p style={{ fontSize: 13, color: PALETTE.textMuted, margin: 0 }}>
+                Sales channels beyond cafe partners. Set pricing and costs here; switch channels on and set their volume per scenario in the Scenarios section.
+              </p>
+              <button onClick={addChannel} style={{
+                background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 10,
+                padding: "10px 20px", fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: FONT, whiteSpace: "nowrap",
+              }}>+ Add Channel</button>
+            </div>
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))", gap: 16 }}>
+              {channels.map((channel, i) => {
+                const dtc = channel.kind === "dtc";
+                const products = dtc ? retailProducts : [...bulkProducts, ...retailProducts];
+                const opts = products.map(p => {
+                  const price = channelListPrice(channel, p);
+                  return { id: p.id, name: p.name, detail: `${fmtFull(price)} per unit \u00B7 ${fmtFull(price - p.cogs - (channel.costPerUnit || 0))} after COGS and unit cost` };
+                });
+                const enabledIn = scenarios.filter(s => isChannelEnabled(s, channel.id)).map(s => s.name);
+                return (
+                  <Card key={channel.id}
+                    title={<input value={channel.name} onChange={e => updateChannel(i, "name", e.target.value)}
+                      style={{ background: "none", border: "none", borderBottom: `1px solid ${PALETTE.border}`, color: PALETTE.text, fontSize: 15, fontWeight: 600, fontFamily: FONT, padding: "2px 0", outline: "none", width: 180 }} />}
+                    titleTip="A distributor buys at your wholesale price less its margin and resells to shops. A direct-to-consumer store sells at the full retail price, less fulfilment cost per unit."
+                    subtitle={enabledIn.length > 0 ? `Enabled in ${enabledIn.join(", ")}` : "Not enabled in any scenario"}
+                    headerRight={<button onClick={() => removeChannel(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>Remove</button>}>
+                    <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+                      <TabBar tabs={CHANNEL_KINDS.map(k => ({ key: k.value, label: k.label }))} active={channel.kind} onChange={v => updateChannelKind(i, v)} />
+
+                      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+                        {!dtc && (
+                          <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                            <InfoTip text="Discount off your wholesale price that the distributor keeps." inline>
+                              <span style={{ fontSize: 11, color: PALETTE.textMuted }}>Distributor Margin</span>
+                            </InfoTip>
+                            <NumInput value={channel.marginPct} onChange={v => updateChannel(i, "marginPct", v)} suffix="%" min={0} max={100} />
+                          </div>
+                        )}
+                        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                          <InfoTip text={dtc ? "Pick, pack, postage and payment fees per unit shipped." : "Freight or handling cost per unit delivered to the distributor."} inline>
+                            <span style={{ fontSize: 11, color: PALETTE.textMuted }}>{dtc ? "Fulfilment / Unit" : "Cost / Unit"}</span>
+                          </InfoTip>
+                          <NumInput value={channel.costPerUnit} onChange={v => updateChannel(i, "costPerUnit", v)} prefix="$" min={0} step={0.25} />
+                        </div>
+                        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                          <InfoTip text="Fixed cost of running this channel each month while a scenario has it enabled, e.g. store platform fees." inline>
+                            <span style={{ fontSize: 11, color: PALETTE.textMuted }}>Fixed / Month</span>
+                          </InfoTip>
+                          <NumInput value={channel.fixedMonthly} onChange={v => updateChannel(i, "fixedMonthly", v)} prefix="$" min={0} step={25} />
+                        </div>
+                      </div>
+
+                      <div style={{ borderTop: `1px solid ${PALETTE.borderLight}`, paddingTop: 14 }}>
+                        <InfoTip text="Products sold through this channel. Monthly units are split across them by the share next to each product.">
+                          <span style={{ fontSize: 11, fontWeight: 600, color: PALETTE.textMuted, letterSpacing: "0.05em", textTransform: "uppercase", display: "block", marginBottom: 6 }}>Products</span>
+                        </InfoTip>
+                        <CheckboxGroup options={opts} values={channel.productIds || []} onChange={v => updateChannelProducts(i, v)} name={`channel-${channel.id}`}
+                          shares={normalizeShares(channel.productShares, channel.productIds || [])} onShareChange={(id, v) => updateChannelShare(i, id, v)} />
+                        {(channel.productIds || []).length === 0 && (
+                          <div style={{ fontSize: 11, color: PALETTE.accent, marginTop: 6 }}>No products selected, so this channel sells nothing.</div>
+                        )}
+                      </div>
+                    </div>
+                  </Card>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {/* ═══════════ SCENARIOS ═══════════ */}
         {activeSection === "scenarios" && (
           <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
@@ -974,44 +2318,72 @@ export default function RitualPowdersDashboard() {
                   </div>
 
                   <SliderRow label="Starting Partners" value={s.startingPartners} onChange={v => updateScenario(i, "startingPartners", v)} min={0} max={30} tip="How many active cafe partners you begin Month 1 with. Set to your current real partner count." />
-                  <SliderRow label="New Partners / Month" value={s.newPartnersPerMonth} onChange={v => updateScenario(i, "newPartnersPerMonth", v)} min={0} max={15} tip="Net new cafe partners signed each month. Assumed constant across all 12 months." />
-                  <SliderRow label="% Small" value={s.pctSmall} onChange={v => updateScenario(i, "pctSmall", v)} min={0} max={100} suffix="%" tip="Percentage of all partners that are Small tier cafes. Small + Medium + Large should total 100%." />
-                  <SliderRow label="% Medium" value={s.pctMedium} onChange={v => updateScenario(i, "pctMedium", v)} min={0} max={100} suffix="%" tip="Percentage of all partners that are Medium tier cafes." />
-                  <SliderRow label="% Large" value={s.pctLarge} onChange={v => updateScenario(i, "pctLarge", v)} min={0} max={100} suffix="%" tip="Percentage of all partners that are Large tier cafes." />
-                  {Math.abs(s.pctSmall + s.pctMedium + s.pctLarge - 100) > 1 && (
-                    <div style={{ fontSize: 11, color: PALETTE.accent, background: PALETTE.accentBg, padding: "6px 10px", borderRadius: 8 }}>
-                      \u26A0 Tier mix = {s.pctSmall + s.pctMedium + s.pctLarge}% (should be 100%)
-                    </div>
-                  )}
-                  <SliderRow label="Monthly Churn" value={s.monthlyChurnPct} onChange={v => updateScenario(i, "monthlyChurnPct", v)} min={0} max={20} step={0.5} suffix="%" tip="Percentage of active partners lost each month. Applied before new partners are added. 2% means losing roughly 1 in 50 partners per month." />
+                  <SliderRow label="New Partners / Month" value={s.newPartnersPerMonth} onChange={v => updateScenario(i, "newPartnersPerMonth", v)} min={0} max={15} tip="Net new cafe partners signed each month. Assumed constant across the full projection horizon." />
+                  {(() => {
+                    const ids = tiers.map(t => t.id);
+                    const mix = normalizeShares(s.tierMix, ids);
+                    return tiers.map(t => (
+                      <SliderRow key={t.id} label={`% ${t.label}`} value={Math.round(mix[t.id] * 10) / 10} onChange={v => updateScenario(i, "tierMix", roundShares(rebalanceShares(s.tierMix, ids, t.id, v), ids))}
+                        min={0} max={100} suffix="%" tip={`Percentage of all partners that are ${t.label} partners. Moving one tier rescales the others so the mix always totals 100%.`} />
+                    ));
+                  })()}
+                  <SliderRow label="Monthly Churn" value={s.monthlyChurnPct} onChange={v => updateScenario(i, "monthlyChurnPct", v)} min={0} max={20} step={0.5} suffix="%" tip="Percentage of active partners lost each month. Applied before new partners are added. 2% means losing roughly 1 in 50 partners per month. Tiers with their own churn rate on the Cafe Tiers cards override this." />
                   <SliderRow label="% Partners Stocking Retail" value={s.retailAttachPct} onChange={v => updateScenario(i, "retailAttachPct", v)} min={0} max={100} suffix="%" tip="Percentage of bulk cafe partners who also stock retail pouches for take-home sales. Applied across all tiers. At 50%, half your partners generate retail revenue and half are bulk-only." />
+                  <div style={{ display: "flex", flexDirection: "column", gap: 10, borderTop: `1px solid ${PALETTE.borderLight}`, paddingTop: 12 }}>
+                    <SliderRow label="Launch Discount" value={s.promoPct || 0} onChange={v => updateScenario(i, "promoPct", v)} min={0} max={50} suffix="%" tip="Percentage off every unit price for newly signed partners, on top of any volume price breaks. Starting partners don't get it." />
+                    <SliderRow label="Discount Months" value={s.promoMonths || 0} onChange={v => updateScenario(i, "promoMonths", v)} min={0} max={12} tip="How many months after signing the launch discount lasts for each new partner." />
+                  </div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8, borderTop: `1px solid ${PALETTE.borderLight}`, paddingTop: 12 }}>
+                    <ToggleRow label="Cafe Partners" checked={isChannelEnabled(s, CAFE_CHANNEL_ID)} onChange={v => updateScenarioChannel(i, CAFE_CHANNEL_ID, "enabled", v)} tip="Sell to cafes through the partner model above. Switch off to model the other channels on their own." />
+                    {channels.map(c => (
+                      <div key={c.id} style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                        <ToggleRow label={c.name} checked={isChannelEnabled(s, c.id)} onChange={v => updateScenarioChannel(i, c.id, "enabled", v)} tip={`Include ${c.name} in this scenario. Pricing, costs and products are set in the Channels section.`} />
+                        {isChannelEnabled(s, c.id) && (
+                          <>
+                            <SliderRow label="Units in M1" value={s.channels[c.id].startUnits || 0} onChange={v => updateScenarioChannel(i, c.id, "startUnits", v)} min={0} max={2000} step={10} tip={`Units sold through ${c.name} in the first month, split across its products by share. Consumption seasonality applies.`} />
+                            <SliderRow label="Monthly Growth" value={s.channels[c.id].growthPct || 0} onChange={v => updateScenarioChannel(i, c.id, "growthPct", v)} min={-10} max={30} step={0.5} suffix="%" tip="Compound month-over-month growth in units for this channel." />
+                          </>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8, borderTop: `1px solid ${PALETTE.borderLight}`, paddingTop: 12 }}>
+                    <SelectRow label="Consumption Seasonality" value={s.consumptionProfileId} options={profileOptions} onChange={v => updateScenario(i, "consumptionProfileId", v)} tip="Seasonality profile that scales every partner's monthly order volume. Edit profiles in the Seasonality section." />
+                    <SelectRow label="Acquisition Seasonality" value={s.acquisitionProfileId} options={profileOptions} onChange={v => updateScenario(i, "acquisitionProfileId", v)} tip="Seasonality profile that scales New Partners / Month, e.g. slower signings in December." />
+                  </div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8, borderTop: `1px solid ${PALETTE.borderLight}`, paddingTop: 12 }}>
+                    <ToggleRow label="Cohort model" checked={s.cohortModel} onChange={v => updateScenario(i, "cohortModel", v)} tip="Track each month's signings as a separate cohort instead of one continuous partner pool. Churn is applied to every cohort individually." />
+                    {s.cohortModel && (
+                      <ToggleRow label="Whole partners" checked={s.wholePartners} onChange={v => updateScenario(i, "wholePartners", v)} tip="Round signings and survivors to whole cafes. Each tier's active count stays at the nearest whole number to its expected value, so there are no fractional partners like 7.43." />
+                    )}
+                  </div>
 
                   <div style={{ background: PALETTE.cardAlt, borderRadius: 10, padding: 14, marginTop: 4, borderLeft: `3px solid ${s.color}` }}>
                     {(() => {
-                      const d = allProjections[i]?.data[11];
-                      const yr = allProjections[i]?.data.reduce((sum, m) => sum + m.totalRevenue, 0) || 0;
+                      const d = allProjections[i]?.data[horizon - 1];
+                      const yr = allProjections[i]?.years[0]?.revenue || 0;
                       return d ? (
                         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6, fontSize: 12 }}>
                           <div>
-                            <InfoTip text="This scenario's projected monthly revenue at month 12." inline>
-                              <span style={{ color: PALETTE.textMuted }}>M12 Rev:</span>
+                            <InfoTip text={`This scenario's projected monthly revenue at month ${horizon}.`} inline>
+                              <span style={{ color: PALETTE.textMuted }}>M{horizon} Rev:</span>
                             </InfoTip>
                             <span style={{ fontWeight: 600, marginLeft: 4 }}>{fmtFull(d.totalRevenue)}</span>
                           </div>
                           <div>
-                            <InfoTip text="This scenario's projected monthly gross profit at month 12." inline>
-                              <span style={{ color: PALETTE.textMuted }}>M12 Profit:</span>
+                            <InfoTip text={`This scenario's projected monthly gross profit at month ${horizon}.`} inline>
+                              <span style={{ color: PALETTE.textMuted }}>M{horizon} Profit:</span>
                             </InfoTip>
                             <span style={{ fontWeight: 600, color: PALETTE.green, marginLeft: 4 }}>{fmtFull(d.totalProfit)}</span>
                           </div>
                           <div>
-                            <InfoTip text="Total active partners at month 12 after churn." inline>
+                            <InfoTip text={`Total active partners at month ${horizon} after churn.`} inline>
                               <span style={{ color: PALETTE.textMuted }}>Partners:</span>
                             </InfoTip>
                             <span style={{ fontWeight: 600, marginLeft: 4 }}>{Math.round(d.totalActive)}</span>
                           </div>
                           <div>
-                            <InfoTip text="Cumulative revenue across all 12 months." inline>
+                            <InfoTip text="Cumulative revenue across the first 12 months." inline>
                               <span style={{ color: PALETTE.textMuted }}>Year 1:</span>
                             </InfoTip>
                             <span style={{ fontWeight: 600, marginLeft: 4 }}>{fmt(yr)}</span>
@@ -1023,10 +2395,704 @@ export default function RitualPowdersDashboard() {
                 </div>
               ))}
             </div>
+
+            {scenarios.length > 0 && (
+              <GoalSeekPanel scenarios={scenarios} tiers={tiers} bulkProducts={bulkProducts} retailProducts={retailProducts} settings={settings} horizon={horizon} onApply={applyModel} />
+            )}
+          </div>
+        )}
+
+        {/* ═══════════ SEASONALITY ═══════════ */}
+        {activeSection === "seasonality" && (
+          <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <p style={{ fontSize: 13, color: PALETTE.textMuted, margin: 0 }}>
+                Monthly multipliers for consumption and partner acquisition. Attach a profile to each scenario in the Scenarios section.
+              </p>
+              <button onClick={addProfile} style={{
+                background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 10,
+                padding: "10px 20px", fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: FONT, whiteSpace: "nowrap",
+              }}>+ Add Profile</button>
+            </div>
+
+            <Card title="Projection Start" titleTip="Calendar month that projection month 1 falls in. Seasonality multipliers are aligned to this, so M1 uses this month's multiplier." subtitle="Calendar month of M1">
+              <TabBar tabs={MONTH_NAMES.map((name, i) => ({ key: i, label: name }))} active={startMonth} onChange={setStartMonth} />
+            </Card>
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(360px, 1fr))", gap: 16 }}>
+              {seasonalityProfiles.map((profile, i) => {
+                const avg = profile.multipliers.reduce((a, b) => a + b, 0) / 12;
+                return (
+                  <div key={profile.id} style={{ background: PALETTE.card, border: `1px solid ${PALETTE.border}`, borderRadius: 16, padding: 24, display: "flex", flexDirection: "column", gap: 14 }}>
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                      <input value={profile.name} onChange={e => updateProfile(i, "name", e.target.value)}
+                        style={{ background: "none", border: "none", borderBottom: `1px solid ${PALETTE.border}`, color: PALETTE.text, fontSize: 15, fontWeight: 600, fontFamily: FONT, padding: "2px 0", outline: "none", width: 220 }} />
+                      <button onClick={() => removeProfile(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>Remove</button>
+                    </div>
+
+                    <ResponsiveContainer width="100%" height={120}>
+                      <BarChart data={profile.multipliers.map((v, m) => ({ label: MONTH_NAMES[m], value: v }))} margin={{ top: 4, right: 4, left: 4, bottom: 0 }}>
+                        <XAxis dataKey="label" tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
+                        <YAxis hide domain={[0, "dataMax"]} />
+                        <Tooltip content={<ChartTooltip />} />
+                        <Bar dataKey="value" name="Multiplier" radius={[3, 3, 0, 0]}>
+                          {profile.multipliers.map((v, m) => <Cell key={m} fill={v >= 1 ? PALETTE.green : PALETTE.accent} />)}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+
+                    <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 8 }}>
+                      {profile.multipliers.map((v, m) => (
+                        <div key={m} style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+                          <span style={{ fontSize: 10, color: PALETTE.textLight }}>{MONTH_NAMES[m]}</span>
+                          <NumInput value={v} onChange={x => updateProfileMonth(i, m, Math.max(0, x))} suffix="x" min={0} step={0.05} small />
+                        </div>
+                      ))}
+                    </div>
+
+                    <InfoTip text="Average of the 12 multipliers. At 1.00x the profile only reshapes the year; above or below 1.00x it also raises or lowers the annual total." inline>
+                      <span style={{ fontSize: 11, color: Math.abs(avg - 1) > 0.005 ? PALETTE.accent : PALETTE.textMuted }}>Average: {avg.toFixed(2)}x</span>
+                    </InfoTip>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* ═══════════ OPERATING COSTS ═══════════ */}
+        {activeSection === "opex" && (
+          <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(360px, 1fr))", gap: 16 }}>
+              <Card title="Fixed Monthly Opex" titleTip="Overhead that doesn't scale with partners or volume: salaries, software, rent, marketing retainers. Deducted from contribution to get EBITDA." subtitle={`${fmtFull(opex.fixedLines.reduce((sum, l) => sum + l.monthly, 0))} per month`}
+                headerRight={<button onClick={addOpexLine} style={{ background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 8, padding: "6px 12px", fontSize: 11, fontWeight: 600, cursor: "pointer", fontFamily: FONT }}>+ Add Line</button>}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                      <Th>Cost Line</Th>
+                      <Th tip="Cost per month, applied in every month of the projection.">Monthly</Th>
+                      <Th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {opex.fixedLines.map((line, i) => (
+                      <tr key={line.id} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                        <td style={{ padding: "10px 12px" }}>
+                          <input value={line.name} onChange={e => updateOpexLine(i, "name", e.target.value)}
+                            style={{ background: "none", border: "none", borderBottom: `1px solid ${PALETTE.border}`, color: PALETTE.text, fontSize: 12, fontWeight: 600, fontFamily: FONT, padding: "2px 0", outline: "none", width: "100%" }} />
+                        </td>
+                        <td style={{ padding: "10px 12px" }}><NumInput value={line.monthly} onChange={v => updateOpexLine(i, "monthly", v)} prefix="$" min={0} step={50} /></td>
+                        <td style={{ padding: "10px 12px", textAlign: "right" }}>
+                          <button onClick={() => removeOpexLine(i)} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>Remove</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </Card>
+
+              <Card title="Variable Costs" titleTip="Costs that scale with partner count and order volume. Deducted from gross profit to get contribution." subtitle="Sales, account management and fulfilment">
+                <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+                  {[
+                    { field: "cacPerPartner", label: "Acquisition Cost / New Partner", step: 10, tip: "One-off sales and marketing cost to sign each new cafe partner (CAC). Charged in the month the partner signs; starting partners are excluded." },
+                    { field: "accountMgmtPerPartner", label: "Account Mgmt / Partner / Month", step: 5, tip: "Ongoing cost to service each active partner every month: visits, training, support." },
+                    { field: "shippingPerBag", label: "Shipping / Bulk Bag", step: 0.5, tip: "Fulfilment and shipping cost per bulk bag shipped." },
+                    { field: "shippingPerPouch", label: "Shipping / Retail Pouch", step: 0.1, tip: "Fulfilment and shipping cost per retail pouch shipped." },
+                  ].map(row => (
+                    <div key={row.field} style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                      <InfoTip text={row.tip}><span style={{ fontSize: 12, color: PALETTE.textMuted }}>{row.label}</span></InfoTip>
+                      <NumInput value={opex[row.field]} onChange={v => updateOpex(row.field, v)} prefix="$" min={0} step={row.step} />
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            </div>
+
+            {pEnd && (
+              <Card title={`Month ${horizon} Operating Statement: ${scenarios[0]?.name || "Base"}`} titleTip="How gross profit turns into contribution and EBITDA for the primary scenario in the final month of the horizon." subtitle="Gross profit to EBITDA">
+                <div style={{ display: "flex", flexDirection: "column", gap: 8, maxWidth: 520 }}>
+                  {[
+                    { label: "Revenue", value: pEnd.totalRevenue },
+                    { label: "Gross Profit", value: pEnd.totalProfit, strong: true },
+                    { label: "Shipping & fulfilment", value: -pEnd.shippingCost },
+                    { label: "Account management", value: -pEnd.accountMgmtCost },
+                    { label: `Acquisition (${pEnd.newPartners} new partners)`, value: -pEnd.acquisitionCost },
+                    { label: "Contribution", value: pEnd.contribution, strong: true },
+                    { label: "Fixed opex", value: -pEnd.fixedOpex },
+                    { label: "EBITDA", value: pEnd.ebitda, strong: true },
+                  ].map(row => (
+                    <div key={row.label} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, padding: "6px 0", borderTop: row.strong ? `1px solid ${PALETTE.border}` : "none" }}>
+                      <span style={{ color: row.strong ? PALETTE.text : PALETTE.textMuted, fontWeight: row.strong ? 600 : 400 }}>{row.label}</span>
+                      <span style={{ fontWeight: row.strong ? 700 : 500, color: row.value < 0 ? "#d44" : PALETTE.text }}>{fmtFull(row.value)}</span>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+
+        {/* ═══════════ PRODUCTION PLAN ═══════════ */}
+        {activeSection === "production" && productionPlan && (() => {
+          const orders = productionPlan.skus.flatMap(sku => sku.orders.map(o => ({ ...o, sku }))).sort((a, b) => a.startMonth - b.startMonth || a.readyMonth - b.readyMonth);
+          const totalLbs = productionPlan.totals.reduce((a, t) => a + t.demandLbs, 0);
+          const values = productionPlan.totals.map(t => t.inventoryValue);
+          const peakValue = Math.max(0, ...values);
+          const lateCount = orders.filter(o => o.late).length;
+          const updateProduct = (sku, field, val) => {
+            const list = sku.kind === "bulk" ? bulkProducts : retailProducts;
+            const idx = list.findIndex(p => p.id === sku.id);
+            (sku.kind === "bulk" ? updateBulk : updateRetail)(idx, field, val);
+          };
+          return (
+            <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16 }}>
+                <p style={{ fontSize: 13, color: PALETTE.textMuted, margin: 0 }}>
+                  Monthly units and powder per SKU from a scenario's projection, with a batch schedule that keeps each SKU above its safety stock.
+                </p>
+                <TabBar tabs={scenarios.map((s, i) => ({ key: i, label: s.name }))} active={productionIdx} onChange={setProductionScenarioIdx} />
+              </div>
+
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 14 }}>
+                <KPI highlight label={`${horizon}-Month Powder Required`} tip="Pounds of powder shipped across all SKUs over the projection: units per SKU times each product's size in pounds." value={`${Math.round(totalLbs).toLocaleString()} lbs`} sub={`${Math.round(productionPlan.totals[horizon - 1]?.demandLbs || 0).toLocaleString()} lbs in M${horizon}`} />
+                <KPI label="Peak Inventory" tip="Highest month-end value of finished stock on hand, at COGS. This is the working capital tied up in inventory at its worst point." value={fmtFull(peakValue)} sub={`M${values.indexOf(peakValue) + 1}`} />
+                <KPI label="Average Inventory" tip="Average month-end inventory value at COGS across the projection." value={fmtFull(values.reduce((a, b) => a + b, 0) / Math.max(1, values.length))} sub={`M${horizon}: ${fmtFull(values[horizon - 1] || 0)}`} />
+                <KPI label="Production Runs" tip="Number of production orders in the schedule below. Late runs would have had to start before M1 to arrive in time." value={orders.length} sub={lateCount > 0 ? `${lateCount} late` : "All on time"} />
+              </div>
+
+              <Card title="Inventory Parameters" titleTip="Per-SKU inputs for the production plan. Batch Size is the units made in one run (orders are whole batches). Lead Time is months from starting a run to having stock on the shelf. Safety Stock is months of the next month's demand kept on hand as a buffer." subtitle="Batch size, lead time and safety stock per SKU">
+                <div style={{ overflowX: "auto" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                    <thead>
+                      <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                        <Th>SKU</Th>
+                        <Th tip="Pounds of powder in one unit (bag or pouch).">Size</Th>
+                        <Th tip="Units produced in one production run.">Batch Size</Th>
+                        <Th tip="Months between starting a run and the stock being available.">Lead Time</Th>
+                        <Th tip="Buffer stock, in months of the following month's demand.">Safety Stock</Th>
+                        <Th tip={`Units shipped in month ${horizon} across cafes and channels.`}>M{horizon} Units</Th>
+                        <Th tip={`Stock on hand at the end of month ${horizon}, at COGS.`}>M{horizon} Inventory</Th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {productionPlan.skus.map(sku => {
+                        const last = sku.rows[horizon - 1];
+                        return (
+                          <tr key={sku.id} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                            <td style={{ padding: "10px 12px", fontWeight: 600 }}>
+                              {sku.name}
+                              <div style={{ fontSize: 10, color: PALETTE.textLight, fontWeight: 400 }}>{sku.kind === "bulk" ? "Bulk" : "Retail"}</div>
+                            </td>
+                            <td style={{ padding: "10px 12px" }}><NumInput value={sku.params.sizeLbs} onChange={v => updateProduct(sku, "sizeLbs", v)} suffix="lbs" min={0} step={0.125} small /></td>
+                            <td style={{ padding: "10px 12px" }}><NumInput value={sku.params.batchSize} onChange={v => updateProduct(sku, "batchSize", v)} min={0} step={10} small /></td>
+                            <td style={{ padding: "10px 12px" }}><NumInput value={sku.params.leadTimeMonths} onChange={v => updateProduct(sku, "leadTimeMonths", v)} suffix="mo" min={0} max={12} small /></td>
+                            <td style={{ padding: "10px 12px" }}><NumInput value={sku.params.safetyStockMonths} onChange={v => updateProduct(sku, "safetyStockMonths", v)} suffix="mo" min={0} step={0.25} small /></td>
+                            <td style={{ padding: "10px 12px" }}>{Math.round(last?.demand || 0).toLocaleString()}</td>
+                            <td style={{ padding: "10px 12px" }}>{fmtFull(last?.value || 0)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(360px, 1fr))", gap: 16 }}>
+                <Card title="Powder Required" titleTip="Pounds of powder shipped each month, stacked by SKU. Retail pouches count by their size in pounds." subtitle="Pounds shipped per month by SKU">
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={productionPlan.totals} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
+                      <XAxis dataKey="label" tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
+                      <YAxis tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} />
+                      <Tooltip content={<ChartTooltip format={v => `${Math.round(v * 10) / 10} lbs`} />} />
+                      {productionPlan.skus.map((sku, i) => (
+                        <Bar key={sku.id} dataKey={d => d.lbsBySku[sku.id]} name={sku.name} stackId="lbs" fill={TIER_COLORS[i % TIER_COLORS.length]} />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </Card>
+
+                <Card title="Inventory Working Capital" titleTip="Month-end value of finished stock on hand across all SKUs, at COGS (including any COGS escalation). Batches arrive in whole runs, so this saw-tooths between production runs." subtitle="Month-end stock value at COGS">
+                  <ResponsiveContainer width="100%" height={260}>
+                    <ComposedChart data={productionPlan.totals} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
+                      <XAxis dataKey="label" tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
+                      <YAxis tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} tickFormatter={fmt} />
+                      <Tooltip content={<ChartTooltip />} />
+                      <Area type="monotone" dataKey="inventoryValue" name="Inventory" stroke={PALETTE.dusk} fill={PALETTE.dusk} fillOpacity={0.2} strokeWidth={2} dot={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </Card>
+              </div>
+
+              <Card title="Production Schedule" titleTip="Suggested production runs in start order. Each run is started Lead Time months before the month it is needed, so stock never drops below safety stock. Late runs would have needed to start before M1: start them now." subtitle={`${orders.length} runs over ${horizon} months`}>
+                <div style={{ overflowX: "auto", maxHeight: 420, overflowY: "auto" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                    <thead>
+                      <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                        <Th>Start</Th>
+                        <Th>Ready</Th>
+                        <Th>SKU</Th>
+                        <Th tip="Whole production runs of the SKU's batch size.">Batches</Th>
+                        <Th>Units</Th>
+                        <Th>Powder</Th>
+                        <Th tip="Production cost of the run at COGS in its start month.">Cost</Th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {orders.map((o, i) => (
+                        <tr key={i} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                          <td style={{ padding: "8px 12px", fontWeight: 600, color: o.late ? "#d44" : PALETTE.text }}>{o.late ? `Now (${1 - o.startMonth} mo late)` : `M${o.startMonth}`}</td>
+                          <td style={{ padding: "8px 12px" }}>M{o.readyMonth}</td>
+                          <td style={{ padding: "8px 12px" }}>{o.sku.name}</td>
+                          <td style={{ padding: "8px 12px" }}>{o.batches ?? "-"}</td>
+                          <td style={{ padding: "8px 12px" }}>{Math.round(o.units).toLocaleString()}</td>
+                          <td style={{ padding: "8px 12px" }}>{Math.round(o.lbs * 10) / 10} lbs</td>
+                          <td style={{ padding: "8px 12px" }}>{fmtFull(o.cost)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+            </div>
+          );
+        })()}
+
+        {/* ═══════════ CASH FLOW ═══════════ */}
+        {activeSection === "cashflow" && cashFlows[cashIdx] && (
+          <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
+            <p style={{ fontSize: 13, color: PALETTE.textMuted, margin: 0 }}>
+              Cash in and out per month. Revenue arrives on your receivable terms, production runs from the Production Plan are paid on your payable terms, and operating costs are paid as incurred.
+            </p>
+
+            <Card title="Terms & Starting Cash" titleTip="Receivable days apply to cafe and distributor invoices; web store orders are paid at checkout. Payable days are counted from the start of each production run, so 0 means you prepay the manufacturer." subtitle="Drives the timing of cash in every scenario">
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 16 }}>
+                <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                  <InfoTip text="Cash in the bank at the start of month 1." inline>
+                    <span style={{ fontSize: 11, color: PALETTE.textMuted }}>Starting Cash</span>
+                  </InfoTip>
+                  <NumInput value={cashFlow.startingCash} onChange={v => setCashFlow(c => ({ ...c, startingCash: v }))} prefix="$" step={1000} />
+                </div>
+                <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                  <InfoTip text="Days from invoice to payment for cafes and distributors. Net-30 is 30." inline>
+                    <span style={{ fontSize: 11, color: PALETTE.textMuted }}>Receivable Days</span>
+                  </InfoTip>
+                  <NumInput value={cashFlow.receivableDays} onChange={v => setCashFlow(c => ({ ...c, receivableDays: v }))} suffix="days" min={0} max={180} step={5} />
+                </div>
+                <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                  <InfoTip text="Days after a production run starts that the manufacturer is paid. 0 is prepayment." inline>
+                    <span style={{ fontSize: 11, color: PALETTE.textMuted }}>Payable Days</span>
+                  </InfoTip>
+                  <NumInput value={cashFlow.payableDays} onChange={v => setCashFlow(c => ({ ...c, payableDays: v }))} suffix="days" min={0} max={180} step={5} />
+                </div>
+              </div>
+            </Card>
+
+            {(() => {
+              const cf = cashFlows[cashIdx];
+              const last = cf.rows[horizon - 1];
+              return (
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 14 }}>
+                  <KPI highlight label="Minimum Cash" tip="Lowest month-end cash balance over the projection. If it is negative, that is how much more cash the plan needs." value={fmtFull(cf.minCash.value)} sub={cf.minCash.month ? `at M${cf.minCash.month}` : ""} />
+                  <KPI label="Runway" tip="Months until the cash balance first drops below zero." value={cf.runwayMonths === null ? `>${horizon} mo` : `${cf.runwayMonths} mo`} sub={cf.runwayMonths === null ? "Cash never runs out" : `Out of cash in M${cf.runwayMonths + 1}`} />
+                  <KPI label="Raise Needed" tip="Extra starting cash needed to keep the balance at or above zero in every month, with no buffer." value={fmtFull(cf.raiseNeeded)} sub={cf.raiseNeeded > 0 ? "To stay above $0" : "Fully funded"} />
+                  <KPI label={`M${horizon} Cash`} tip={`Cash balance at the end of month ${horizon}. The sub-line shows invoices still waiting to be paid.`} value={fmtFull(last?.cashBalance || 0)} sub={`${fmtFull(last?.receivables || 0)} receivable`} />
+                </div>
+              );
+            })()}
+
+            <Card title="Cash Balance" titleTip="Month-end cash balance for every scenario. Below the zero line the business has run out of cash and needs funding." subtitle="All scenarios, month-end balance" headerRight={<TabBar tabs={scenarios.map((s, i) => ({ key: i, label: s.name }))} active={cashIdx} onChange={setCashScenarioIdx} />}>
+              <ResponsiveContainer width="100%" height={320}>
+                <ComposedChart data={cashChartData} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
+                  <XAxis dataKey="label" tick={{ fontSize: 11, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
+                  <YAxis tick={{ fontSize: 11, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} tickFormatter={fmt} />
+                  <Tooltip content={<ChartTooltip />} />
+                  <ReferenceLine y={0} stroke="#d44" strokeDasharray="4 4" />
+                  {scenarios.map((s, i) => (
+                    <Area key={s.name} type="monotone" dataKey={s.name} name={s.name} stroke={s.color} fill={s.color} fillOpacity={i === cashIdx ? 0.12 : 0.02} strokeWidth={i === cashIdx ? 2.5 : 1.5} dot={false} />
+                  ))}
+                  {cashFlows[cashIdx].minCash.month && (
+                    <ReferenceLine x={`M${cashFlows[cashIdx].minCash.month}`} stroke={scenarios[cashIdx].color} strokeDasharray="4 4"
+                      label={{ value: "Min cash", position: "insideTopRight", fill: PALETTE.textMuted, fontSize: 10 }} />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </Card>
+
+            <Card title={`Cash Flow Statement: ${scenarios[cashIdx].name}`} titleTip="Monthly cash movements for the selected scenario. Collections are revenue received on your terms, production is payments for production runs, and operating costs are shipping, account management, acquisition, channel costs and fixed opex." subtitle="Month by month">
+              <div style={{ overflowX: "auto", maxHeight: 420, overflowY: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                      <Th>Month</Th>
+                      <Th tip="Customer payments received this month.">Collections</Th>
+                      <Th tip="Payments to the manufacturer for production runs.">Production</Th>
+                      <Th tip="Shipping, account management, acquisition, channel costs and fixed opex.">Operating Costs</Th>
+                      <Th>Net Cash Flow</Th>
+                      <Th>Cash Balance</Th>
+                      <Th tip="Invoiced revenue not yet collected at month end.">Receivables</Th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {cashFlows[cashIdx].rows.map(r => (
+                      <tr key={r.month} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                        <td style={{ padding: "8px 12px", fontWeight: 600 }}>{r.label}</td>
+                        <td style={{ padding: "8px 12px", color: PALETTE.green }}>{fmtFull(r.collections)}</td>
+                        <td style={{ padding: "8px 12px" }}>{fmtFull(-r.productionPayments)}</td>
+                        <td style={{ padding: "8px 12px" }}>{fmtFull(-r.operatingCosts)}</td>
+                        <td style={{ padding: "8px 12px", fontWeight: 600, color: r.netCashFlow < 0 ? "#d44" : PALETTE.green }}>{fmtFull(r.netCashFlow)}</td>
+                        <td style={{ padding: "8px 12px", fontWeight: 600, color: r.cashBalance < 0 ? "#d44" : PALETTE.text }}>{fmtFull(r.cashBalance)}</td>
+                        <td style={{ padding: "8px 12px", color: PALETTE.textMuted }}>{fmtFull(r.receivables)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          </div>
+        )}
+
+        {/* ═══════════ ACTUALS ═══════════ */}
+        {activeSection === "actuals" && (
+          <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16 }}>
+              <p style={{ fontSize: 13, color: PALETTE.textMuted, margin: 0 }}>
+                Import what actually happened each month and compare it with a scenario, or fit scenario drivers to your partner history. Actuals are also drawn on the Projections chart.
+              </p>
+              <div style={{ display: "flex", gap: 8, flexShrink: 0 }}>
+                <button onClick={downloadActualsTemplate} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 10, color: PALETTE.textMuted, padding: "10px 16px", fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: FONT, whiteSpace: "nowrap" }}>Download Template</button>
+                {actuals.rows.length > 0 && (
+                  <button onClick={() => { setActuals(a => ({ ...a, rows: [] })); setActualsImport(null); }} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 10, color: PALETTE.textMuted, padding: "10px 16px", fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: FONT, whiteSpace: "nowrap" }}>Clear</button>
+                )}
+                <button onClick={() => actualsFileRef.current?.click()} style={{
+                  background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 10,
+                  padding: "10px 20px", fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: FONT, whiteSpace: "nowrap",
+                }}>Import CSV</button>
+                <input ref={actualsFileRef} type="file" accept=".csv,text/csv" onChange={importActuals} style={{ display: "none" }} />
+              </div>
+            </div>
+
+            {actualsImport && (
+              <div style={{ background: PALETTE.card, border: `1px solid ${actualsImport.errors.length > 0 ? "#d44" : PALETTE.border}`, borderRadius: 12, padding: "12px 16px", fontSize: 12, display: "flex", flexDirection: "column", gap: 4 }}>
+                <span style={{ fontWeight: 600 }}>{actualsImport.fileName}: {actualsImport.rows.length} month{actualsImport.rows.length !== 1 ? "s" : ""} imported</span>
+                {actualsImport.errors.map((err, i) => <span key={`e${i}`} style={{ color: "#d44" }}>{err}</span>)}
+                {actualsImport.warnings.map((w, i) => <span key={`w${i}`} style={{ color: PALETTE.textMuted }}>{w}</span>)}
+              </div>
+            )}
+
+            {actuals.rows.length === 0 ? (
+              <Card title="No Actuals Yet" subtitle="Columns: month, partners:<tier>, bags:<bulk product>, pouches, revenue">
+                <p style={{ fontSize: 12, color: PALETTE.textMuted, margin: 0, lineHeight: 1.6 }}>
+                  One row per projection month (1 or M1 is the first month). Tiers and products can be named by id or name, and a single "partners" column works if you don't track tiers. Leave a cell blank if you don't have the number. Download the template for the columns that match this model.
+                </p>
+              </Card>
+            ) : (
+              <>
+                <Card title="Compare Against" titleTip="Scenario the actuals are compared with. Re-forecast restarts that scenario from the latest month with a partner count, keeping its signing, churn and tier assumptions for the months after." subtitle={`${actuals.rows.length} months of actuals, M${actuals.rows[0].month}\u2013M${actuals.rows[actuals.rows.length - 1].month}`}
+                  headerRight={<TabBar tabs={scenarios.map((s, i) => ({ key: i, label: s.name }))} active={actualsIdx} onChange={v => setActuals(a => ({ ...a, scenarioIdx: v }))} />}>
+                  <ToggleRow label="Re-forecast from latest actual" checked={actuals.reforecast} onChange={v => setActuals(a => ({ ...a, reforecast: v }))} tip="Project the rest of the horizon again starting from the latest actual partner count (per tier if the file has tier columns). Shown as a dotted line on the charts." />
+                  {actuals.reforecast && !reforecasted && (
+                    <div style={{ fontSize: 11, color: PALETTE.accent, marginTop: 8 }}>Nothing to re-forecast: the actuals need a partner count before the last projection month.</div>
+                  )}
+                  {reforecasted && (
+                    <div style={{ fontSize: 12, color: PALETTE.textMuted, marginTop: 8 }}>
+                      Restarted after M{reforecasted.fromMonth}. M{horizon} revenue: <strong style={{ color: PALETTE.text }}>{fmtFull(reforecasted.months[reforecasted.months.length - 1].totalRevenue)}</strong> vs plan {fmtFull(allProjections[actualsIdx].data[horizon - 1].totalRevenue)}
+                    </div>
+                  )}
+                </Card>
+
+                <Card title="Revenue: Plan vs Actual" titleTip="Monthly revenue for the chosen scenario, the imported actuals, and the re-forecast when it is on." subtitle={scenarios[actualsIdx].name}>
+                  <ResponsiveContainer width="100%" height={280}>
+                    <ComposedChart data={chartData} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
+                      <XAxis dataKey="label" tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
+                      <YAxis tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} tickFormatter={fmt} />
+                      <Tooltip content={<ChartTooltip />} />
+                      <Area type="monotone" dataKey={`${scenarios[actualsIdx].name}_rev`} name="Plan" stroke={scenarios[actualsIdx].color} fill={scenarios[actualsIdx].color} fillOpacity={0.12} strokeWidth={2} dot={false} />
+                      {reforecasted && <Line type="monotone" dataKey="reforecast_rev" name="Re-forecast" stroke={scenarios[actualsIdx].color} strokeDasharray="2 3" strokeWidth={2} dot={false} />}
+                      <Line type="monotone" dataKey="actual_rev" name="Actual" stroke={PALETTE.text} strokeWidth={2} connectNulls dot={{ r: 3, fill: PALETTE.text, stroke: PALETTE.text }} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </Card>
+
+                <Card title="Variance" titleTip="Actual minus plan for each month, in units and as a percentage of plan. Bags and pouches are compared with units shipped across all channels. Blank cells were not in the import." subtitle={`Against ${scenarios[actualsIdx].name}`}>
+                  <div style={{ overflowX: "auto", maxHeight: 480, overflowY: "auto" }}>
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                      <thead>
+                        <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                          <Th>Month</Th>
+                          {VARIANCE_METRICS.map(m => <Th key={m.key} tip={`Actual ${m.label.toLowerCase()}, with the plan figure and the variance below.`}>{m.label}</Th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {variance.map(v => (
+                          <tr key={v.month} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                            <td style={{ padding: "10px 14px", fontWeight: 600 }}>{v.label}</td>
+                            {VARIANCE_METRICS.map(m => (
+                              <td key={m.key} style={{ padding: "10px 14px" }}>
+                                <VarianceCell value={v[m.key]} money={m.money} />
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                {variance.length > 0 && (() => {
+                  const latest = variance[variance.length - 1];
+                  const lines = [
+                    ...tiers.filter(t => latest.byTier[t.id]).map(t => ({ key: `t-${t.id}`, label: `${t.label} partners`, value: latest.byTier[t.id] })),
+                    ...bulkProducts.filter(p => latest.bySku[p.id]).map(p => ({ key: `b-${p.id}`, label: p.name, value: latest.bySku[p.id] })),
+                  ];
+                  return lines.length > 0 && (
+                    <Card title={`Detail at ${latest.label}`} titleTip="Variance per cafe tier and per bulk SKU in the latest imported month." subtitle="Partners by tier and bags by SKU">
+                      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                        <thead>
+                          <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                            <Th>Line</Th>
+                            <Th>Actual</Th>
+                            <Th>Plan</Th>
+                            <Th>Variance</Th>
+                            <Th>Variance %</Th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {lines.map(l => (
+                            <tr key={l.key} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                              <td style={{ padding: "10px 14px", fontWeight: 600 }}>{l.label}</td>
+                              <td style={{ padding: "10px 14px" }}>{fmtQty(l.value.actual)}</td>
+                              <td style={{ padding: "10px 14px" }}>{fmtQty(l.value.plan)}</td>
+                              <td style={{ padding: "10px 14px", color: l.value.delta < 0 ? "#d44" : PALETTE.green }}>{fmtSigned(l.value.delta, false)}</td>
+                              <td style={{ padding: "10px 14px", color: l.value.delta < 0 ? "#d44" : PALETTE.green }}>{l.value.pct === null ? "-" : fmtSignedPct(l.value.pct)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </Card>
+                  );
+                })()}
+              </>
+            )}
+
+            <Card title="Calibrate from Partner Log" titleTip="Fits starting partners, new partners per month, monthly churn, tier mix and retail attach to a log of partner signings and churn. Signings are adjusted for the base scenario's acquisition seasonality, and churn is cafes lost per partner-month. Tiers with their own churn rate keep it." subtitle="Columns: partner, tier, signed, churned, retail"
+              headerRight={
+                <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {actuals.partnerLog?.length > 0 && (
+                    <button onClick={() => { setActuals(a => ({ ...a, partnerLog: [] })); setLogImport(null); }} style={{ background: "none", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.textMuted, cursor: "pointer", padding: "3px 10px", fontSize: 11, fontFamily: FONT }}>Clear</button>
+                  )}
+                  <button onClick={() => logFileRef.current?.click()} style={{ background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 8, padding: "6px 12px", fontSize: 11, fontWeight: 600, cursor: "pointer", fontFamily: FONT }}>Import Log</button>
+                  <input ref={logFileRef} type="file" accept=".csv,text/csv" onChange={importPartnerLog} style={{ display: "none" }} />
+                </div>
+              }>
+              <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+                {logImport && (
+                  <div style={{ fontSize: 12, display: "flex", flexDirection: "column", gap: 4 }}>
+                    <span style={{ fontWeight: 600 }}>{logImport.fileName}: {logImport.partners.length} partner{logImport.partners.length !== 1 ? "s" : ""} imported</span>
+                    {logImport.errors.map((err, i) => <span key={`e${i}`} style={{ color: "#d44" }}>{err}</span>)}
+                    {logImport.warnings.map((w, i) => <span key={`w${i}`} style={{ color: PALETTE.textMuted }}>{w}</span>)}
+                  </div>
+                )}
+                {!calibration ? (
+                  <p style={{ fontSize: 12, color: PALETTE.textMuted, margin: 0, lineHeight: 1.6 }}>
+                    One row per cafe. signed and churned are projection months (churned is the first month the cafe was gone; leave it blank if still active), tier is a tier id or name, and retail is yes or no. Cafes signed in M1 or earlier count as starting partners.
+                  </p>
+                ) : (
+                  <>
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+                      <span style={{ fontSize: 12, color: PALETTE.textMuted }}>{actuals.partnerLog.length} partners over {calibration.months} months, fitted on top of</span>
+                      <TabBar tabs={scenarios.map((s, i) => ({ key: i, label: s.name }))} active={actualsIdx} onChange={v => setActuals(a => ({ ...a, scenarioIdx: v }))} />
+                    </div>
+                    <div style={{ display: "grid", gridTemplateColumns: "minmax(260px, 1fr) 2fr", gap: 20 }}>
+                      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT, alignSelf: "start" }}>
+                        <thead>
+                          <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                            <Th>Driver</Th>
+                            <Th tip="Value fitted from the log.">Fitted</Th>
+                            <Th tip={`Current value in ${scenarios[actualsIdx].name}.`}>Current</Th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {[
+                            { label: "Starting partners", fitted: calibration.fit.startingPartners, current: scenarios[actualsIdx].startingPartners },
+                            { label: "New partners / month", fitted: calibration.fit.newPartnersPerMonth, current: scenarios[actualsIdx].newPartnersPerMonth },
+                            { label: "Monthly churn", fitted: `${calibration.fit.monthlyChurnPct}%`, current: `${scenarios[actualsIdx].monthlyChurnPct}%` },
+                            ...tiers.map(t => ({ label: `% ${t.label}`, fitted: `${Math.round(normalizeShares(calibration.fit.tierMix, tiers.map(x => x.id))[t.id])}%`, current: `${Math.round(normalizeShares(scenarios[actualsIdx].tierMix, tiers.map(x => x.id))[t.id])}%` })),
+                            { label: "% stocking retail", fitted: `${calibration.fit.retailAttachPct}%`, current: `${scenarios[actualsIdx].retailAttachPct}%` },
+                          ].map(r => (
+                            <tr key={r.label} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                              <td style={{ padding: "8px 12px" }}>{r.label}</td>
+                              <td style={{ padding: "8px 12px", fontWeight: 600 }}>{r.fitted}</td>
+                              <td style={{ padding: "8px 12px", color: PALETTE.textMuted }}>{r.current}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div>
+                        <ResponsiveContainer width="100%" height={220}>
+                          <ComposedChart data={calibration.points} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.borderLight} />
+                            <XAxis dataKey="label" tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={{ stroke: PALETTE.border }} tickLine={false} />
+                            <YAxis tick={{ fontSize: 10, fill: PALETTE.textMuted }} axisLine={false} tickLine={false} />
+                            <Tooltip content={<ChartTooltip format={v => Math.round(v * 10) / 10} />} />
+                            <Area type="monotone" dataKey="fitted" name="Fitted" stroke={PALETTE.accent} fill={PALETTE.accent} fillOpacity={0.15} strokeWidth={2} dot={false} />
+                            <Line type="monotone" dataKey="actual" name="Logged" stroke={PALETTE.text} strokeWidth={2} dot={{ r: 3, fill: PALETTE.text, stroke: PALETTE.text }} />
+                          </ComposedChart>
+                        </ResponsiveContainer>
+                        <div style={{ display: "flex", gap: 20, justifyContent: "center", fontSize: 12, marginTop: 8 }}>
+                          <InfoTip text="Share of the month-to-month variation in active partners that the fitted curve explains. 1 is a perfect fit." inline>
+                            <span style={{ color: PALETTE.textMuted }}>R{"\u00B2"}: <strong style={{ color: PALETTE.text }}>{calibration.quality.r2 === null ? "-" : calibration.quality.r2.toFixed(2)}</strong></span>
+                          </InfoTip>
+                          <InfoTip text="Root mean squared error: the typical gap between logged and fitted active partners, in cafes." inline>
+                            <span style={{ color: PALETTE.textMuted }}>RMSE: <strong style={{ color: PALETTE.text }}>{calibration.quality.rmse.toFixed(1)} cafes</strong></span>
+                          </InfoTip>
+                          <InfoTip text="Mean absolute percentage error across months with at least one active partner." inline>
+                            <span style={{ color: PALETTE.textMuted }}>MAPE: <strong style={{ color: PALETTE.text }}>{calibration.quality.mape === null ? "-" : pct(calibration.quality.mape)}</strong></span>
+                          </InfoTip>
+                        </div>
+                      </div>
+                    </div>
+                    {calibration.overriddenTiers.length > 0 && (
+                      <div style={{ fontSize: 12, color: "#d44" }}>
+                        {`${calibration.overriddenTiers.join(", ")} ${calibration.overriddenTiers.length === 1 ? "has its" : "have their"} own churn rate, which replaces the fitted ${calibration.fit.monthlyChurnPct}% in the calibrated scenario. The fit above ignores those overrides; clear them on the Cafe Tiers tab to use the fitted churn.`}
+                      </div>
+                    )}
+                    <div style={{ display: "flex", justifyContent: "flex-end", alignItems: "center", gap: 12 }}>
+                      {scenarios.length >= 5 && <span style={{ fontSize: 11, color: PALETTE.textMuted }}>Remove a scenario first: the dashboard holds up to 5.</span>}
+                      <button onClick={addCalibratedScenario} disabled={scenarios.length >= 5} style={{
+                        background: PALETTE.text, color: PALETTE.bg, border: "none", borderRadius: 10, opacity: scenarios.length >= 5 ? 0.4 : 1,
+                        padding: "10px 20px", fontSize: 12, fontWeight: 600, cursor: scenarios.length >= 5 ? "default" : "pointer", fontFamily: FONT, whiteSpace: "nowrap",
+                      }}>Create Calibrated Scenario</button>
+                    </div>
+                  </>
+                )}
+              </div>
+            </Card>
+          </div>
+        )}
+
+        {/* ═══════════ SIMULATION ═══════════ */}
+        {activeSection === "simulation" && (
+          <div className="fade-in" style={{ padding: "0 32px", display: "flex", flexDirection: "column", gap: 24 }}>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(360px, 1fr))", gap: 16 }}>
+              <Card title="Simulation Settings" titleTip="Monte Carlo mode re-runs the selected scenario thousands of times with drivers sampled from the distributions below. Runs in a background worker, so editing stays responsive. The same seed always gives the same result." subtitle={simulation.enabled ? (simRunning ? "Running\u2026" : simResult ? `${simResult.iterations.toLocaleString()} iterations complete` : "Waiting for first run") : "Off"}>
+                <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+                  <ToggleRow label="Run simulation" checked={simulation.enabled} onChange={v => updateSimulation("enabled", v)} tip="When on, P10/P50/P90 bands for the selected scenario appear on the Projections comparison chart." />
+                  <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+                    <span style={{ fontSize: 12, color: PALETTE.textMuted }}>Scenario</span>
+                    <TabBar tabs={scenarios.map((s, i) => ({ key: i, label: s.name }))} active={simScenarioIdx} onChange={v => updateSimulation("scenarioIdx", v)} />
+                  </div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+                    <InfoTip text="Number of sampled projections. More iterations give smoother bands but take longer to compute.">
+                      <span style={{ fontSize: 12, color: PALETTE.textMuted }}>Iterations</span>
+                    </InfoTip>
+                    <TabBar tabs={[500, 1000, 2000, 5000, 10000].map(n => ({ key: n, label: n.toLocaleString() }))} active={simulation.iterations} onChange={v => updateSimulation("iterations", v)} />
+                  </div>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                    <InfoTip text="Random seed. Change it to draw a different but reproducible set of samples."><span style={{ fontSize: 12, color: PALETTE.textMuted }}>Seed</span></InfoTip>
+                    <NumInput value={simulation.seed} onChange={v => updateSimulation("seed", Math.round(v))} min={0} />
+                  </div>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                    <InfoTip text="Monthly revenue you want to reach. The probability below is the share of iterations whose revenue in the target month is at or above this value."><span style={{ fontSize: 12, color: PALETTE.textMuted }}>Revenue Target</span></InfoTip>
+                    <NumInput value={simulation.targetRevenue} onChange={v => updateSimulation("targetRevenue", v)} prefix="$" min={0} step={500} />
+                  </div>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                    <InfoTip text="Projection month the revenue target applies to."><span style={{ fontSize: 12, color: PALETTE.textMuted }}>Target Month</span></InfoTip>
+                    <NumInput value={simulation.targetMonth} onChange={v => updateSimulation("targetMonth", Math.max(1, Math.min(horizon, Math.round(v))))} prefix="M" min={1} max={horizon} />
+                  </div>
+                </div>
+              </Card>
+
+              <Card title="Results" titleTip="Probability of hitting the revenue target, and the P10 / P50 / P90 outcomes in the target month. P10 means 10% of iterations came in at or below that value." subtitle={scenarios[simScenarioIdx]?.name}>
+                {simError ? (
+                  <div style={{ fontSize: 12, color: "#d44" }}>Simulation failed: {simError}</div>
+                ) : simulation.enabled && simResult ? (
+                  <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+                    <KPI highlight label={`P(Revenue \u2265 ${fmt(simulation.targetRevenue)} at M${simResult.targetMonth})`} tip="Share of simulated paths whose monthly revenue in the target month reaches the target." value={pct(simResult.probability)} sub={`${simResult.iterations.toLocaleString()} iterations \u00B7 seed ${simulation.seed}`} />
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                      <thead>
+                        <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                          <Th>M{simResult.targetMonth}</Th><Th>P10</Th><Th>P50</Th><Th>P90</Th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[
+                          { label: "Monthly Revenue", key: "totalRevenue", f: fmtFull },
+                          { label: "Gross Profit", key: "totalProfit", f: fmtFull },
+                          { label: "EBITDA", key: "ebitda", f: fmtFull },
+                          { label: "Partners", key: "totalActive", f: v => Math.round(v * 10) / 10 },
+                        ].map(row => {
+                          const b = simResult.bands[row.key][simResult.targetMonth - 1];
+                          return (
+                            <tr key={row.key} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                              <td style={{ padding: "10px 12px", fontWeight: 600 }}>{row.label}</td>
+                              <td style={{ padding: "10px 12px" }}>{row.f(b.p10)}</td>
+                              <td style={{ padding: "10px 12px", fontWeight: 600 }}>{row.f(b.p50)}</td>
+                              <td style={{ padding: "10px 12px" }}>{row.f(b.p90)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <div style={{ textAlign: "center", padding: "32px 0", color: PALETTE.textMuted, fontSize: 13 }}>
+                    Turn on Run simulation to sample this scenario.
+                  </div>
+                )}
+              </Card>
+            </div>
+
+            <Card title="Driver Distributions" titleTip="How each driver varies between iterations. Uniform samples evenly between Low and High. Triangular peaks at the scenario's own value. Normal is centred on the scenario's value with the given standard deviation. Drinks / Day is a percentage change applied to every tier." subtitle="Ranges for the main model drivers">
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                      <Th>Driver</Th>
+                      <Th tip="The scenario's deterministic value. Used as the mode of a triangular distribution and the mean of a normal one.">Base</Th>
+                      <Th>Distribution</Th>
+                      <Th tip="Lower bound for uniform and triangular distributions.">Low</Th>
+                      <Th tip="Upper bound for uniform and triangular distributions.">High</Th>
+                      <Th tip="Standard deviation for the normal distribution.">Std Dev</Th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {SIM_DRIVERS.map(d => {
+                      const range = simulation.ranges[d.key] || { dist: "none", low: 0, high: 0, sd: 0 };
+                      const base = d.scope === "scenario" ? scenarios[simScenarioIdx]?.[d.key] : 0;
+                      return (
+                        <tr key={d.key} style={{ borderBottom: `1px solid ${PALETTE.borderLight}` }}>
+                          <td style={{ padding: "10px 12px", fontWeight: 600 }}>{d.label}</td>
+                          <td style={{ padding: "10px 12px", color: PALETTE.textMuted }}>{d.scope === "scenario" ? base : "0%"}</td>
+                          <td style={{ padding: "10px 12px" }}>
+                            <SelectRow value={range.dist} options={SIM_DISTRIBUTIONS} onChange={v => updateSimRange(d.key, "dist", v || "none")} />
+                          </td>
+                          <td style={{ padding: "10px 12px" }}><NumInput value={range.low} onChange={v => updateSimRange(d.key, "low", v)} step={0.5} small /></td>
+                          <td style={{ padding: "10px 12px" }}><NumInput value={range.high} onChange={v => updateSimRange(d.key, "high", v)} step={0.5} small /></td>
+                          <td style={{ padding: "10px 12px" }}><NumInput value={range.sd} onChange={v => updateSimRange(d.key, "sd", Math.max(0, v))} step={0.5} small /></td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          </div>
+        )}
+
+        {/* ═══════════ SENSITIVITY ═══════════ */}
+        {activeSection === "sensitivity" && scenarios.length > 0 && (
+          <div className="fade-in" style={{ padding: "0 32px" }}>
+            <SensitivityPanel scenarios={scenarios} tiers={tiers} bulkProducts={bulkProducts} retailProducts={retailProducts} settings={settings} />
           </div>
         )}
       </div>
-      <PresetOverlay open={showPresets} onClose={() => setShowPresets(false)} onSave={getPresetData} onLoad={loadPresetData} />
+      <PresetOverlay open={showPresets} onClose={() => setShowPresets(false)} onSave={getPresetData} onLoad={loadPresetData} tiers={tiers}
+        onCompare={(presets, index) => { setShowPresets(false); setCompareWith({ presets, index }); }} />
+      <PresetCompare open={compareWith !== null} presets={compareWith?.presets || []} initial={compareWith?.index} current={presetData} onClose={() => setCompareWith(null)} />
     </div>
   );
 }
@@ -0,0 +1,290 @@
+import { projectScenario, roundShares } from "./engine";
+
+// ═══════════════════════════════════════════════════════════════
+// CSV IMPORT
+// ═══════════════════════════════════════════════════════════════
+// One row per projection month. Columns are matched case-insensitively against tier and
+// product ids or names:
+//   month, partners:<tier>..., bags:<bulk product>..., pouches, revenue
+// A single "partners" column can stand in for the per-tier columns. Blank cells are treated
+// as not reported rather than zero.
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length > 0) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+const normalize = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Finds the tier or product a column suffix refers to, by id first and then by name.
+function matchItem(items, key, nameField) {
+  const k = normalize(key);
+  return items.find(x => normalize(x.id) === k) || items.find(x => normalize(x[nameField]) === k);
+}
+
+// Header row for a blank actuals file matching the current model.
+export function actualsTemplate(tiers, bulkProducts) {
+  return [
+    "month",
+    ...tiers.map(t => `partners:${t.id}`),
+    ...bulkProducts.map(p => `bags:${p.id}`),
+    "pouches", "revenue",
+  ].join(",") + "\n";
+}
+
+// Returns { rows, errors, warnings }. rows are sorted by month and look like
+// { month, partnersByTier, partners, bagsBySku, bags, pouches, revenue }, with null for
+// anything the file doesn't report.
+export function parseActualsCsv(text, tiers, bulkProducts) {
+  const table = parseCsv(text);
+  const errors = [], warnings = [];
+  if (table.length < 2) return { rows: [], errors: ["The file needs a header row and at least one month."], warnings };
+
+  const columns = table[0].map((h, col) => {
+    const header = h.trim();
+    const [prefix, ...rest] = header.split(/[:_ ]/);
+    const key = rest.join(" ");
+    const p = normalize(prefix);
+    if (["month", "revenue", "pouches"].includes(normalize(header))) return { col, field: normalize(header) };
+    if (p === "partners" && !key) return { col, field: "partners" };
+    if (p === "partners") {
+      const tier = matchItem(tiers, key, "label");
+      if (tier) return { col, field: "tier", id: tier.id };
+    }
+    if (p === "bags" && key) {
+      const product = matchItem(bulkProducts, key, "name");
+      if (product) return { col, field: "bag", id: product.id };
+    }
+    warnings.push(`Ignored column "${header}"`);
+    return null;
+  }).filter(Boolean);
+
+  if (!columns.some(c => c.field === "month")) return { rows: [], errors: ['Missing a "month" column.'], warnings };
+
+  const byMonth = new Map();
+  table.slice(1).forEach((cells, r) => {
+    const line = r + 2;
+    const row = { month: null, partnersByTier: {}, partners: null, bagsBySku: {}, bags: null, pouches: null, revenue: null };
+    let ok = true;
+    columns.forEach(c => {
+      const raw = (cells[c.col] ?? "").trim().replace(/[$,]/g, "");
+      if (raw === "") return;
+      if (c.field === "month") {
+        const m = Number(raw.replace(/^m/i, ""));
+        if (Number.isInteger(m) && m >= 1) row.month = m;
+        else { errors.push(`Line ${line}: month "${cells[c.col]}" should be a projection month like 3 or M3`); ok = false; }
+        return;
+      }
+      const v = Number(raw);
+      if (!Number.isFinite(v) || v < 0) { errors.push(`Line ${line}: "${cells[c.col]}" is not a valid number`); ok = false; return; }
+      if (c.field === "tier") row.partnersByTier[c.id] = v;
+      else if (c.field === "bag") row.bagsBySku[c.id] = v;
+      else row[c.field] = v;
+    });
+    if (!ok) return;
+    if (row.month === null) { errors.push(`Line ${line}: missing month`); return; }
+    if (byMonth.has(row.month)) warnings.push(`Line ${line}: M${row.month} appears more than once, the last row wins`);
+
+    const tierCounts = Object.values(row.partnersByTier);
+    if (tierCounts.length > 0) row.partners = tierCounts.reduce((a, b) => a + b, 0);
+    const bagCounts = Object.values(row.bagsBySku);
+    if (bagCounts.length > 0) row.bags = bagCounts.reduce((a, b) => a + b, 0);
+    byMonth.set(row.month, row);
+  });
+
+  return { rows: [...byMonth.values()].sort((a, b) => a.month - b.month), errors, warnings };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PLAN VS ACTUAL
+// ═══════════════════════════════════════════════════════════════
+export const VARIANCE_METRICS = [
+  { key: "partners", label: "Partners", money: false },
+  { key: "bags", label: "Bags", money: false },
+  { key: "pouches", label: "Pouches", money: false },
+  { key: "revenue", label: "Revenue", money: true },
+];
+
+// The plan's figure for each actuals field in one projected month.
+export function planFigures(d, bulkProducts, retailProducts) {
+  const units = d.unitsBySku || {};
+  return {
+    partners: d.totalActive,
+    partnersByTier: d.activeByTier,
+    bags: bulkProducts.reduce((a, p) => a + (units[p.id] || 0), 0),
+    bagsBySku: Object.fromEntries(bulkProducts.map(p => [p.id, units[p.id] || 0])),
+    pouches: retailProducts.reduce((a, p) => a + (units[p.id] || 0), 0),
+    revenue: d.totalRevenue,
+  };
+}
+
+const compare = (actual, plan) => actual === null || actual === undefined ? null : {
+  actual, plan, delta: actual - plan, pct: plan !== 0 ? (actual - plan) / plan : null,
+};
+
+// One entry per actuals month inside the projection, each metric as
+// { actual, plan, delta, pct } (pct is null when the plan is zero) or null if not reported.
+export function calcVariance(actualRows, months, bulkProducts, retailProducts) {
+  return actualRows.filter(a => a.month <= months.length).map(a => {
+    const plan = planFigures(months[a.month - 1], bulkProducts, retailProducts);
+    const entry = { month: a.month, label: `M${a.month}` };
+    VARIANCE_METRICS.forEach(({ key }) => { entry[key] = compare(a[key], plan[key]); });
+    entry.byTier = Object.fromEntries(Object.entries(a.partnersByTier).map(([id, v]) => [id, compare(v, plan.partnersByTier[id] || 0)]));
+    entry.bySku = Object.fromEntries(Object.entries(a.bagsBySku).map(([id, v]) => [id, compare(v, plan.bagsBySku[id] || 0)]));
+    return entry;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RE-FORECAST
+// ═══════════════════════════════════════════════════════════════
+// Restarts the scenario from the latest month with a partner count: that month's partners
+// (split by tier when the file has per-tier columns) are carried into the following months,
+// with seasonality and price/COGS escalations kept on the original calendar. Returns the
+// months after the restart, numbered as in the original projection, or null when there is
+// nothing to restart from or no months left.
+export function reforecast(scenario, tiers, bulkProducts, retailProducts, horizon, settings, actualRows) {
+  const last = [...actualRows].reverse().find(a => a.partners !== null && a.month < horizon);
+  if (!last) return null;
+  // Month 1 of the restarted projection stands for the last actual month and is dropped
+  const offset = last.month - 1;
+  const shift = (products) => products.map(p => ({
+    ...p, escalations: (p.escalations || []).map(e => ({ ...e, startMonth: e.startMonth - offset })),
+  }));
+  const restarted = {
+    ...scenario,
+    startingPartners: last.partners,
+    startingByTier: Object.keys(last.partnersByTier).length > 0 ? last.partnersByTier : null,
+  };
+  const shifted = { ...settings, startMonth: ((settings.startMonth || 0) + offset) % 12 };
+  const months = projectScenario(restarted, tiers, shift(bulkProducts), shift(retailProducts), horizon - offset, shifted).slice(1);
+
+  // Cumulative revenue carries on from the actual revenue reported up to the restart
+  const actualRev = actualRows.filter(a => a.month <= last.month).reduce((s, a) => s + (a.revenue || 0), 0);
+  let cumulativeRev = actualRev;
+  return {
+    fromMonth: last.month,
+    months: months.map(d => {
+      cumulativeRev += d.totalRevenue;
+      return { ...d, month: d.month + offset, label: `M${d.month + offset}`, cumulativeRev };
+    }),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CALIBRATION
+// ═══════════════════════════════════════════════════════════════
+// A partner log has one row per cafe: partner, tier, signed, churned, retail. signed and
+// churned are projection months (churned is the first month the cafe was gone; blank while
+// active), retail is yes/no. Cafes signed in M1 or earlier are starting partners.
+
+const YES = ["yes", "y", "true", "1"];
+const NO = ["no", "n", "false", "0"];
+
+export function parsePartnerLog(text, tiers) {
+  const table = parseCsv(text);
+  const errors = [], warnings = [];
+  if (table.length < 2) return { partners: [], errors: ["The file needs a header row and at least one partner."], warnings };
+
+  const header = table[0].map(normalize);
+  const col = (name) => header.indexOf(name);
+  const cols = { partner: col("partner"), tier: col("tier"), signed: col("signed"), churned: col("churned"), retail: col("retail") };
+  if (cols.signed < 0) return { partners: [], errors: ['Missing a "signed" column.'], warnings };
+
+  const month = (raw) => {
+    const m = Number(String(raw).trim().replace(/^m/i, ""));
+    return Number.isInteger(m) ? m : NaN;
+  };
+  const partners = [];
+  table.slice(1).forEach((cells, r) => {
+    const line = r + 2;
+    const get = (k) => cols[k] >= 0 ? (cells[cols[k]] ?? "").trim() : "";
+    const signed = month(get("signed"));
+    if (Number.isNaN(signed)) { errors.push(`Line ${line}: signed "${get("signed")}" should be a projection month like 3 or M3`); return; }
+    const churned = get("churned") === "" ? null : month(get("churned"));
+    if (Number.isNaN(churned) || (churned !== null && churned <= signed)) { errors.push(`Line ${line}: churned "${get("churned")}" should be a month after signing`); return; }
+    let tierId = null;
+    if (get("tier") !== "") {
+      tierId = matchItem(tiers, get("tier"), "label")?.id ?? null;
+      if (!tierId) warnings.push(`Line ${line}: unknown tier "${get("tier")}", left out of the tier mix`);
+    }
+    const retailRaw = get("retail").toLowerCase();
+    const retail = YES.includes(retailRaw) ? true : NO.includes(retailRaw) ? false : null;
+    partners.push({ name: get("partner") || `Line ${line}`, tierId, signed, churned, retail });
+  });
+  return { partners, errors, warnings };
+}
+
+// Fits the scenario drivers to a partner log and replays the fitted scenario over the logged
+// months. New partners per month is adjusted for the base scenario's acquisition seasonality,
+// and churn is the monthly hazard: cafes lost divided by partner-months at risk.
+export function calibrateScenario(partners, base, tiers, bulkProducts, retailProducts, settings) {
+  if (partners.length === 0) return null;
+  const lastMonth = Math.max(1, ...partners.map(p => Math.max(p.signed, p.churned ?? 0)));
+  const activeIn = (p, m) => p.signed <= m && (p.churned === null || p.churned > m);
+  const history = Array.from({ length: lastMonth }, (_, i) => partners.filter(p => activeIn(p, i + 1)).length);
+
+  const startingPartners = history[0];
+  const signings = partners.filter(p => p.signed >= 2).length;
+  const acquisition = base.acquisitionProfileId && (settings.seasonalityProfiles || []).find(p => p.id === base.acquisitionProfileId);
+  let signingWeight = 0;
+  for (let m = 2; m <= lastMonth; m++) signingWeight += acquisition ? acquisition.multipliers[((settings.startMonth || 0) + m - 1) % 12] : 1;
+  const newPartnersPerMonth = signingWeight > 0 ? signings / signingWeight : 0;
+
+  let lost = 0, exposure = 0;
+  partners.forEach(p => {
+    const from = Math.max(p.signed, 1) + 1;
+    const to = p.churned === null ? lastMonth : Math.min(p.churned, lastMonth);
+    if (to >= from) exposure += to - from + 1;
+    if (p.churned !== null && p.churned <= lastMonth && p.churned >= from) lost++;
+  });
+  const monthlyChurnPct = exposure > 0 ? (lost / exposure) * 100 : 0;
+
+  const tierMix = {};
+  tiers.forEach(t => { tierMix[t.id] = 0; });
+  partners.forEach(p => { if (p.tierId && p.tierId in tierMix) tierMix[p.tierId]++; });
+  const tierKnown = Object.values(tierMix).reduce((a, b) => a + b, 0);
+  const retailKnown = partners.filter(p => p.retail !== null);
+
+  const fit = {
+    startingPartners,
+    newPartnersPerMonth: Math.round(newPartnersPerMonth * 10) / 10,
+    monthlyChurnPct: Math.round(monthlyChurnPct * 10) / 10,
+    tierMix: tierKnown > 0 ? roundShares(tierMix, tiers.map(t => t.id)) : base.tierMix,
+    retailAttachPct: retailKnown.length > 0 ? Math.round(retailKnown.filter(p => p.retail).length / retailKnown.length * 100) : base.retailAttachPct,
+  };
+
+  // The fit is a single scenario-wide churn rate, so replay it without the tiers' own churn
+  // overrides. Those still win once the fit becomes a scenario; overriddenTiers lists them.
+  const replayTiers = tiers.map(t => ({ ...t, monthlyChurnPct: null }));
+  const fitted = projectScenario({ ...base, ...fit, cohortModel: false, startingByTier: null }, replayTiers, bulkProducts, retailProducts, lastMonth, settings);
+  const points = history.map((actual, i) => ({ month: i + 1, label: `M${i + 1}`, actual, fitted: fitted[i].totalActive }));
+  const mean = history.reduce((a, b) => a + b, 0) / history.length;
+  const sse = points.reduce((a, p) => a + (p.actual - p.fitted) ** 2, 0);
+  const sst = points.reduce((a, p) => a + (p.actual - mean) ** 2, 0);
+  const scored = points.filter(p => p.actual > 0);
+  return {
+    fit, months: lastMonth, points,
+    overriddenTiers: tiers.filter(t => t.monthlyChurnPct != null).map(t => t.label),
+    quality: {
+      rmse: Math.sqrt(sse / points.length),
+      mape: scored.length > 0 ? scored.reduce((a, p) => a + Math.abs(p.actual - p.fitted) / p.actual, 0) / scored.length : null,
+      r2: sst > 0 ? 1 - sse / sst : null,
+    },
+  };
+}
@@ -0,0 +1,192 @@
+import { projectScenario, normalizeShares, rebalanceShares } from "./engine";
+
+// ═══════════════════════════════════════════════════════════════
+// MODEL INPUTS
+// ═══════════════════════════════════════════════════════════════
+// A model is { scenario, tiers, bulkProducts, retailProducts }. Each input descriptor
+// reads one number from it and writes a changed copy back, so analyses can vary any
+// input without knowing where it lives.
+const mapAt = (list, idx, fn) => list.map((x, i) => i === idx ? fn(x) : x);
+
+export function listModelInputs(model) {
+  const inputs = [
+    { id: "scenario.newPartnersPerMonth", group: "Scenario", label: "New partners / month", min: 0,
+      get: m => m.scenario.newPartnersPerMonth, set: (m, v) => ({ ...m, scenario: { ...m.scenario, newPartnersPerMonth: v } }) },
+    { id: "scenario.monthlyChurnPct", group: "Scenario", label: "Monthly churn %", min: 0, max: 100,
+      get: m => m.scenario.monthlyChurnPct, set: (m, v) => ({ ...m, scenario: { ...m.scenario, monthlyChurnPct: v } }) },
+    { id: "scenario.retailAttachPct", group: "Scenario", label: "% stocking retail", min: 0, max: 100,
+      get: m => m.scenario.retailAttachPct, set: (m, v) => ({ ...m, scenario: { ...m.scenario, retailAttachPct: v } }) },
+    { id: "scenario.startingPartners", group: "Scenario", label: "Starting partners", min: 0,
+      get: m => m.scenario.startingPartners, set: (m, v) => ({ ...m, scenario: { ...m.scenario, startingPartners: v } }) },
+    // Changing one tier's share rescales the other tiers so the mix stays at 100%
+    ...model.tiers.map(t => ({
+      id: `mix.${t.id}`, group: "Tier mix", label: `% ${t.label}`, min: 0, max: 100,
+      get: m => normalizeShares(m.scenario.tierMix, m.tiers.map(x => x.id))[t.id],
+      set: (m, v) => ({ ...m, scenario: { ...m.scenario, tierMix: rebalanceShares(m.scenario.tierMix, m.tiers.map(x => x.id), t.id, v) } }),
+    })),
+  ];
+
+  model.tiers.forEach((t, i) => {
+    inputs.push(
+      { id: `tier.${t.id}.drinksPerDay`, group: "Tiers", label: `${t.label}: drinks / day`, min: 0,
+        get: m => m.tiers[i].drinksPerDay, set: (m, v) => ({ ...m, tiers: mapAt(m.tiers, i, x => ({ ...x, drinksPerDay: v })) }) },
+      { id: `tier.${t.id}.retailUnitsPerMonth`, group: "Tiers", label: `${t.label}: retail units / month`, min: 0,
+        get: m => m.tiers[i].retailUnitsPerMonth, set: (m, v) => ({ ...m, tiers: mapAt(m.tiers, i, x => ({ ...x, retailUnitsPerMonth: v })) }) },
+    );
+  });
+
+  model.bulkProducts.forEach((p, i) => {
+    [["wholesale", "wholesale"], ["cogs", "COGS"], ["servings", "servings"]].forEach(([field, label]) => {
+      inputs.push({
+        id: `bulk.${p.id}.${field}`, group: "Bulk products", label: `${p.name}: ${label}`, min: field === "servings" ? 1 : 0,
+        get: m => m.bulkProducts[i][field], set: (m, v) => ({ ...m, bulkProducts: mapAt(m.bulkProducts, i, x => ({ ...x, [field]: v })) }),
+      });
+    });
+  });
+
+  model.retailProducts.forEach((p, i) => {
+    [["wholesalePrice", "wholesale"], ["cogs", "COGS"]].forEach(([field, label]) => {
+      inputs.push({
+        id: `retail.${p.id}.${field}`, group: "Retail products", label: `${p.name}: ${label}`, min: 0,
+        get: m => m.retailProducts[i][field], set: (m, v) => ({ ...m, retailProducts: mapAt(m.retailProducts, i, x => ({ ...x, [field]: v })) }),
+      });
+    });
+  });
+
+  return inputs;
+}
+
+export function clampInput(input, value) {
+  let v = value;
+  if (input.min !== undefined) v = Math.max(input.min, v);
+  if (input.max !== undefined) v = Math.min(input.max, v);
+  return v;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OUTPUT METRICS
+// ═══════════════════════════════════════════════════════════════
+export const SENSITIVITY_METRICS = [
+  { key: "yearRevenue", label: "Year-1 Revenue", field: "totalRevenue" },
+  { key: "yearProfit", label: "Year-1 Gross Profit", field: "totalProfit" },
+  { key: "yearEbitda", label: "Year-1 EBITDA", field: "ebitda" },
+];
+
+export function evaluateMetric(model, metricKey, settings) {
+  const metric = SENSITIVITY_METRICS.find(m => m.key === metricKey) || SENSITIVITY_METRICS[0];
+  const months = projectScenario(model.scenario, model.tiers, model.bulkProducts, model.retailProducts, 12, settings);
+  return months.reduce((sum, d) => sum + d[metric.field], 0);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SENSITIVITY
+// ═══════════════════════════════════════════════════════════════
+// Moves every input by -deltaPct and +deltaPct (one at a time) and ranks inputs by
+// the swing in the chosen metric. Inputs sitting at zero have no swing and sort last.
+export function runTornado(model, metricKey, deltaPct, settings) {
+  const base = evaluateMetric(model, metricKey, settings);
+  const d = deltaPct / 100;
+  return {
+    base,
+    rows: listModelInputs(model).map(input => {
+      const v = input.get(model);
+      const low = evaluateMetric(input.set(model, clampInput(input, v * (1 - d))), metricKey, settings);
+      const high = evaluateMetric(input.set(model, clampInput(input, v * (1 + d))), metricKey, settings);
+      return {
+        id: input.id, label: input.label, group: input.group, value: v, low, high,
+        lowDelta: low - base, highDelta: high - base, swing: Math.abs(high - low),
+      };
+    }).sort((a, b) => b.swing - a.swing),
+  };
+}
+
+// Grid of metric values with rowInput and colInput each stepped across
+// -deltaPct..+deltaPct in `steps` evenly spaced points.
+export function runDataTable(model, rowId, colId, deltaPct, steps, metricKey, settings) {
+  const inputs = listModelInputs(model);
+  const rowInput = inputs.find(i => i.id === rowId);
+  const colInput = inputs.find(i => i.id === colId);
+  if (!rowInput || !colInput) return null;
+
+  const offsets = Array.from({ length: steps }, (_, k) => -deltaPct + (2 * deltaPct * k) / (steps - 1));
+  const rowBase = rowInput.get(model);
+  const colBase = colInput.get(model);
+  return {
+    base: evaluateMetric(model, metricKey, settings),
+    offsets,
+    rowValues: offsets.map(o => clampInput(rowInput, rowBase * (1 + o / 100))),
+    colValues: offsets.map(o => clampInput(colInput, colBase * (1 + o / 100))),
+    cells: offsets.map(ro => offsets.map(co => {
+      const withRow = rowInput.set(model, clampInput(rowInput, rowBase * (1 + ro / 100)));
+      return evaluateMetric(colInput.set(withRow, clampInput(colInput, colBase * (1 + co / 100))), metricKey, settings);
+    })),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// GOAL SEEK
+// ═══════════════════════════════════════════════════════════════
+export const GOAL_METRICS = [
+  { key: "totalRevenue", label: "Monthly Revenue", money: true },
+  { key: "totalProfit", label: "Monthly Gross Profit", money: true },
+  { key: "ebitda", label: "Monthly EBITDA", money: true },
+  { key: "cumulativeRev", label: "Cumulative Revenue", money: true },
+  { key: "totalActive", label: "Active Partners", money: false },
+];
+
+function metricAtMonth(model, field, month, settings) {
+  const months = projectScenario(model.scenario, model.tiers, model.bulkProducts, model.retailProducts, month, settings);
+  return months[month - 1]?.[field] ?? 0;
+}
+
+const SEEK_SCAN_POINTS = 40;
+const SEEK_MAX_DOUBLINGS = 24;
+const SEEK_BISECTIONS = 60;
+
+// Finds the value of one input that makes `metric` in `month` equal `target`. Scans the
+// input's range for the first sign change (growing the upper bound when the input is
+// unbounded), then bisects. Reports the closest value found when the target is out of reach.
+export function goalSeek(model, inputId, { metric, month, target }, settings) {
+  const input = listModelInputs(model).find(i => i.id === inputId);
+  if (!input) return { solved: false, message: "Unknown input" };
+
+  const current = input.get(model);
+  const f = (x) => metricAtMonth(input.set(model, x), metric, month, settings) - target;
+  const lo = input.min ?? 0;
+  let hi = input.max ?? Math.max(current * 2, lo + 10);
+
+  let scanned = [];
+  const scan = (from, to) => {
+    scanned = Array.from({ length: SEEK_SCAN_POINTS + 1 }, (_, k) => {
+      const x = from + (to - from) * k / SEEK_SCAN_POINTS;
+      return { x, y: f(x) };
+    });
+    const k = scanned.findIndex((p, i) => i > 0 && Math.sign(p.y) !== Math.sign(scanned[i - 1].y));
+    return k > 0 ? [scanned[k - 1], scanned[k]] : null;
+  };
+
+  let bracket = scan(lo, hi);
+  for (let d = 0; !bracket && input.max === undefined && d < SEEK_MAX_DOUBLINGS; d++) {
+    hi *= 2;
+    bracket = scan(lo, hi);
+  }
+
+  if (!bracket) {
+    const best = scanned.reduce((a, p) => Math.abs(p.y) < Math.abs(a.y) ? p : a, scanned[0]);
+    return {
+      solved: false, input, current, value: best.x, achieved: best.y + target,
+      message: `Target not reachable by changing ${input.label} alone`,
+    };
+  }
+
+  let [a, b] = bracket;
+  if (a.y === 0) b = a;
+  for (let it = 0; it < SEEK_BISECTIONS && b.x - a.x > 1e-6 && a.y !== 0; it++) {
+    const mid = (a.x + b.x) / 2;
+    const y = f(mid);
+    if (Math.sign(y) === Math.sign(a.y)) a = { x: mid, y }; else b = { x: mid, y };
+  }
+  // Metrics are rounded to whole dollars, so take the side of the bracket that meets the target
+  const hit = a.y >= 0 ? a : b;
+  return { solved: true, input, current, value: hit.x, achieved: hit.y + target };
+}
@@ -0,0 +1,74 @@
+import { CAFE_CHANNEL_ID } from "./engine";
+
+// ═══════════════════════════════════════════════════════════════
+// PAYMENT TERMS
+// ═══════════════════════════════════════════════════════════════
+// receivableDays: how long cafes and distributors take to pay (DTC orders are paid at
+// checkout). payableDays: how long after a production run starts we pay the manufacturer;
+// 0 means we prepay when the run starts.
+export const DEFAULT_CASH_FLOW = { startingCash: 50000, receivableDays: 30, payableDays: 0 };
+
+const DAYS_PER_MONTH = 30;
+
+// Adds `amount` to `series` `days` after month index i. A lag that isn't a whole number of
+// months is split between the two months either side; anything past the horizon is dropped
+// here and shows up as an outstanding balance instead.
+function spread(series, i, amount, days) {
+  const lag = Math.max(0, days || 0) / DAYS_PER_MONTH;
+  const whole = Math.floor(lag);
+  const frac = lag - whole;
+  if (i + whole < series.length) series[i + whole] += amount * (1 - frac);
+  if (frac > 0 && i + whole + 1 < series.length) series[i + whole + 1] += amount * frac;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CASH FLOW
+// ═══════════════════════════════════════════════════════════════
+// Cash view of one projection. Revenue is collected on the receivable terms, production runs
+// from the production plan are paid on the payable terms (runs that should have started before
+// M1 are paid in M1), and every operating cost is paid in the month it is incurred.
+export function calcCashFlow(months, plan, channels, terms = DEFAULT_CASH_FLOW) {
+  const horizon = months.length;
+  const dtcIds = new Set((channels || []).filter(c => c.kind === "dtc").map(c => c.id));
+  const collections = Array(horizon).fill(0);
+  const productionPaid = Array(horizon).fill(0);
+
+  let purchased = 0;
+  months.forEach((d, i) => {
+    Object.entries(d.channelRevenue || { [CAFE_CHANNEL_ID]: d.totalRevenue }).forEach(([id, rev]) => {
+      spread(collections, i, rev, dtcIds.has(id) ? 0 : terms.receivableDays);
+    });
+  });
+  (plan?.skus || []).forEach(sku => sku.orders.forEach(o => {
+    spread(productionPaid, Math.max(1, o.startMonth) - 1, o.cost, terms.payableDays);
+    purchased += o.cost;
+  }));
+
+  let balance = terms.startingCash || 0;
+  let invoiced = 0, collected = 0, paid = 0;
+  const rows = months.map((d, i) => {
+    const operatingCosts = d.shippingCost + d.accountMgmtCost + d.acquisitionCost + (d.channelCost || 0) + d.fixedOpex;
+    const netCashFlow = collections[i] - productionPaid[i] - operatingCosts;
+    balance += netCashFlow;
+    collected += collections[i];
+    paid += productionPaid[i];
+    invoiced += d.totalRevenue;
+    return {
+      month: d.month, label: d.label,
+      collections: Math.round(collections[i]), productionPayments: Math.round(productionPaid[i]),
+      operatingCosts: Math.round(operatingCosts), netCashFlow: Math.round(netCashFlow), cashBalance: Math.round(balance),
+      receivables: Math.round(invoiced - collected),
+    };
+  });
+
+  const min = rows.reduce((lo, r) => r.cashBalance < lo.cashBalance ? r : lo, rows[0] || { month: null, cashBalance: terms.startingCash || 0 });
+  const broke = rows.find(r => r.cashBalance < 0);
+  return {
+    rows,
+    minCash: { month: min.month, value: min.cashBalance },
+    // Months of cash left before the balance first goes negative; null if it never does
+    runwayMonths: broke ? broke.month - 1 : null,
+    raiseNeeded: Math.max(0, -min.cashBalance),
+    unpaidProduction: Math.round(purchased - paid),
+  };
+}
@@ -0,0 +1,92 @@
+import { DEFAULT_HORIZON, projectScenario, calcAnnualRollups } from "./engine";
+
+// ═══════════════════════════════════════════════════════════════
+// FIELD DIFF
+// ═══════════════════════════════════════════════════════════════
+// Products and tiers are matched by id, scenarios by name (they have no id).
+export const DIFF_SECTIONS = [
+  { key: "bulkProducts", label: "Bulk Products", idOf: x => x.id, nameOf: x => x.name },
+  { key: "retailProducts", label: "Retail Products", idOf: x => x.id, nameOf: x => x.name },
+  { key: "tiers", label: "Cafe Tiers", idOf: x => x.id, nameOf: x => x.label },
+  { key: "scenarios", label: "Scenarios", idOf: x => x.name, nameOf: x => x.name },
+];
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Flattens an item into { "field.sub[0]": value }. Lists of plain values (selected ids,
+// ramp percentages, multipliers) stay whole so they read as one field. Empty lists add
+// nothing, so [] and a list of price breaks compare entry by entry.
+function leaves(value, path, out) {
+  if (Array.isArray(value) && value.length === 0) return out;
+  if (isObject(value)) Object.entries(value).forEach(([k, v]) => leaves(v, path ? `${path}.${k}` : k, out));
+  else if (Array.isArray(value) && value.some(v => v !== null && typeof v === "object")) value.forEach((v, i) => leaves(v, `${path}[${i}]`, out));
+  else out[path] = value;
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Every product, tier and scenario field that differs between two models. Returns a list of
+// { section, item, change: "added" | "removed" | "changed", field, before, after }; added and
+// removed items are one entry each with field null.
+export function diffModels(a, b) {
+  const changes = [];
+  DIFF_SECTIONS.forEach(({ key, label, idOf, nameOf }) => {
+    const before = a[key] || [];
+    const after = b[key] || [];
+    const afterById = new Map(after.map(x => [idOf(x), x]));
+    const beforeIds = new Set(before.map(idOf));
+    before.forEach(x => {
+      const y = afterById.get(idOf(x));
+      if (!y) { changes.push({ section: label, item: nameOf(x), change: "removed", field: null, before: x, after: null }); return; }
+      const lx = leaves(x, "", {});
+      const ly = leaves(y, "", {});
+      new Set([...Object.keys(lx), ...Object.keys(ly)]).forEach(field => {
+        if (!same(lx[field], ly[field])) changes.push({ section: label, item: nameOf(y), change: "changed", field, before: lx[field], after: ly[field] });
+      });
+    });
+    after.forEach(y => {
+      if (!beforeIds.has(idOf(y))) changes.push({ section: label, item: nameOf(y), change: "added", field: null, before: null, after: y });
+    });
+  });
+  return changes;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PROJECTION COMPARISON
+// ═══════════════════════════════════════════════════════════════
+// Horizon to project both models over: the longer of the two, and at least a year so the
+// Month-12 and Year-1 figures always exist.
+export function compareHorizon(a, b) {
+  return Math.max(12, a.horizon || DEFAULT_HORIZON, b.horizon || DEFAULT_HORIZON);
+}
+
+// Projects one scenario of a full model (getPresetData() shape).
+export function projectModelScenario(model, scenario, horizon) {
+  const settings = {
+    startMonth: model.startMonth, seasonalityProfiles: model.seasonalityProfiles, opex: model.opex,
+    orderRounding: model.orderRounding, channels: model.channels,
+  };
+  const months = projectScenario(scenario, model.tiers, model.bulkProducts, model.retailProducts, horizon, settings);
+  return { months, years: calcAnnualRollups(months) };
+}
+
+export const COMPARE_FIGURES = [
+  { key: "m12Revenue", label: "M12 Monthly Revenue", money: true, value: p => p.months[11]?.totalRevenue },
+  { key: "m12Ebitda", label: "M12 Monthly EBITDA", money: true, value: p => p.months[11]?.ebitda },
+  { key: "m12Partners", label: "M12 Active Partners", money: false, value: p => p.months[11]?.totalActive },
+  { key: "y1Revenue", label: "Year 1 Revenue", money: true, value: p => p.years[0]?.revenue },
+  { key: "y1Profit", label: "Year 1 Gross Profit", money: true, value: p => p.years[0]?.profit },
+  { key: "y1Ebitda", label: "Year 1 EBITDA", money: true, value: p => p.years[0]?.ebitda },
+];
+
+// Key figures for two projections of the same scenario. Either side may be null when the
+// scenario only exists in one model.
+export function compareFigures(before, after) {
+  return COMPARE_FIGURES.map(f => {
+    const a = before ? f.value(before) ?? null : null;
+    const b = after ? f.value(after) ?? null : null;
+    const delta = a !== null && b !== null ? b - a : null;
+    return { ...f, before: a, after: b, delta, pct: delta !== null && a ? delta / Math.abs(a) : null };
+  });
+}
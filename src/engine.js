@@ -0,0 +1,555 @@
+// ═══════════════════════════════════════════════════════════════
+// MODEL CONSTANTS
+// ═══════════════════════════════════════════════════════════════
+export const HORIZON_OPTIONS = [12, 24, 36, 60];
+export const DEFAULT_HORIZON = 12;
+
+export const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// How partners' monthly needs turn into orders. Fractional bills exactly what is consumed;
+// round-up orders whole case packs (at least the MOQ) every month; carry orders whole
+// case packs only when leftover stock runs short, so extra units cover later months.
+export const ORDER_ROUNDING_MODES = [
+  { value: "fractional", label: "Fractional" },
+  { value: "roundUp", label: "Round Up Each Order" },
+  { value: "carry", label: "Carry Leftover Stock" },
+];
+
+const roundValues = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, Math.round(v)]));
+
+const NO_OPEX = { fixedLines: [], cacPerPartner: 0, accountMgmtPerPartner: 0, shippingPerBag: 0, shippingPerPouch: 0 };
+
+// ═══════════════════════════════════════════════════════════════
+// SHARE MAPS
+// ═══════════════════════════════════════════════════════════════
+// A share map is { [id]: percent } over a list of ids (a scenario's tier mix, a tier's
+// product split). Ids missing from the map get no share; a map with no positive shares,
+// including one that was never set, splits evenly.
+export function shareFractions(shares, ids) {
+  const weights = ids.map(id => Math.max(0, shares?.[id] || 0));
+  const total = weights.reduce((a, b) => a + b, 0);
+  return total > 0 ? weights.map(w => w / total) : ids.map(() => 1 / ids.length);
+}
+
+// Rescales a map to total 100% over the given ids, dropping ids not in the list.
+export function normalizeShares(shares, ids) {
+  const fractions = shareFractions(shares, ids);
+  return Object.fromEntries(ids.map((id, i) => [id, fractions[i] * 100]));
+}
+
+// Sets one id's share and rescales the others in proportion so the map stays at 100%.
+export function rebalanceShares(shares, ids, id, value) {
+  const current = normalizeShares(shares, ids);
+  const others = ids.filter(x => x !== id);
+  if (others.length === 0) return { [id]: 100 };
+  const next = Math.max(0, Math.min(100, value));
+  const othersTotal = others.reduce((a, x) => a + current[x], 0);
+  const updated = { ...current, [id]: next };
+  others.forEach(x => {
+    updated[x] = othersTotal > 0 ? current[x] * (100 - next) / othersTotal : (100 - next) / others.length;
+  });
+  return updated;
+}
+
+// Rounds a map to whole percentages that still total 100, giving the leftover points to
+// the ids with the largest fractional parts.
+export function roundShares(shares, ids) {
+  const current = normalizeShares(shares, ids);
+  const whole = ids.map(id => Math.floor(current[id] + 1e-9));
+  let left = 100 - whole.reduce((a, b) => a + b, 0);
+  ids.map((id, i) => ({ i, rem: current[id] - whole[i] }))
+    .sort((a, b) => b.rem - a.rem)
+    .forEach(({ i }) => { if (left > 0) { whole[i]++; left--; } });
+  return Object.fromEntries(ids.map((id, i) => [id, whole[i]]));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CALCULATION ENGINE
+// ═══════════════════════════════════════════════════════════════
+export function calcBulkMargin(p) { return p.wholesale - p.cogs; }
+export function calcBulkMarginPct(p) { return p.wholesale > 0 ? ((p.wholesale - p.cogs) / p.wholesale) : 0; }
+export function calcRetailMargin(p) { return p.wholesalePrice - p.cogs; }
+
+// Units a partner actually orders to cover `need` units: at least the product's minimum
+// order quantity, rounded up to whole case packs.
+export function orderQuantity(need, product) {
+  if (need <= 0) return 0;
+  const casePack = product.casePack > 0 ? product.casePack : 1;
+  return Math.ceil(Math.max(need, product.moq || 0) / casePack - 1e-9) * casePack;
+}
+
+// Unit price for an order of `qty` units: the price of the highest quantity break the order
+// reaches, or the list price below every break.
+export function unitPrice(priceBreaks, listPrice, qty) {
+  let price = listPrice, reached = -Infinity;
+  (priceBreaks || []).forEach(b => {
+    if (qty >= b.minQty && b.minQty > reached) { reached = b.minQty; price = b.price; }
+  });
+  return price;
+}
+
+// Compounded multiplier from a product's escalation schedule for "price" or "cogs" in
+// projection month m. Each change applies from startMonth, then again every everyMonths
+// months (0 = once), so "+8% every 12 months from M13" gives 1.08 in M13, 1.1664 in M25.
+export function escalationFactor(product, target, m) {
+  let factor = 1;
+  (product.escalations || []).forEach(e => {
+    if (e.target !== target || m < e.startMonth) return;
+    const steps = e.everyMonths > 0 ? Math.floor((m - e.startMonth) / e.everyMonths) + 1 : 1;
+    factor *= Math.pow(1 + e.pct / 100, steps);
+  });
+  return factor;
+}
+
+// Steady-state monthly economics of one partner at today's prices (no escalation). `need` on
+// each breakdown line is what the partner consumes; bags and units are what it orders under
+// the rounding mode. Carrying stock averages out to the need over time, so it is costed as
+// fractional here.
+export function calcTierEconomics(tier, bulkProducts, retailProducts, rounding = "fractional") {
+  const selectedBulk = bulkProducts.filter(p => (tier.bulkProductIds || []).includes(p.id));
+  const selectedRetail = retailProducts.filter(p => (tier.retailProductIds || []).includes(p.id));
+  const ordered = (need, product) => rounding === "roundUp" ? orderQuantity(need, product) : need;
+
+  // Servings and retail units are split across the selected products by the tier's share maps
+  const bulkWeights = shareFractions(tier.bulkShares, selectedBulk.map(p => p.id));
+  const retailWeights = shareFractions(tier.retailShares, selectedRetail.map(p => p.id));
+
+  const totalServingsPerMonth = tier.drinksPerDay * tier.tspPerDrink * tier.daysPerMonth;
+
+  let bulkRev = 0, bulkProfit = 0, totalBags = 0;
+  const bulkBreakdown = selectedBulk.map((bulk, i) => {
+    const servings = totalServingsPerMonth * bulkWeights[i];
+    const need = bulk.servings > 0 ? servings / bulk.servings : 0;
+    const bags = ordered(need, bulk);
+    const price = unitPrice(bulk.priceBreaks, bulk.wholesale, bags);
+    const rev = bags * price;
+    const profit = bags * (price - bulk.cogs);
+    totalBags += bags;
+    bulkRev += rev;
+    bulkProfit += profit;
+    return { id: bulk.id, name: bulk.name, product: bulk, share: bulkWeights[i], need, bags: Math.round(bags * 100) / 100, unitPrice: price, rev: Math.round(rev * 100) / 100 };
+  });
+
+  let retailRev = 0, retailProfit = 0, totalUnits = 0;
+  const retailBreakdown = selectedRetail.map((retail, i) => {
+    const need = tier.retailUnitsPerMonth * retailWeights[i];
+    const units = ordered(need, retail);
+    const price = unitPrice(retail.priceBreaks, retail.wholesalePrice, units);
+    totalUnits += units;
+    retailRev += units * price;
+    retailProfit += units * (price - retail.cogs);
+    return { id: retail.id, name: retail.name, product: retail, share: retailWeights[i], need, units: Math.round(units * 100) / 100, unitPrice: price, rev: Math.round(units * price * 100) / 100 };
+  });
+
+  return {
+    servingsPerMonth: totalServingsPerMonth,
+    bulkBreakdown, retailBreakdown, bags: totalBags, retailUnits: totalUnits,
+    bulkRev: Math.round(bulkRev * 100) / 100, bulkProfit: Math.round(bulkProfit * 100) / 100,
+    retailRev, retailProfit,
+    totalRev: Math.round((bulkRev + retailRev) * 100) / 100,
+    totalProfit: Math.round((bulkProfit + retailProfit) * 100) / 100,
+  };
+}
+
+// Scenarios hold tierMix: { [tierId]: percent of signings }.
+export function tierMixFractions(scenario, tiers) {
+  return shareFractions(scenario.tierMix, tiers.map(t => t.id));
+}
+
+// Starting partners per tier, in tier order. A scenario restarted from actuals carries the
+// observed count per tier in startingByTier; otherwise startingPartners follows the tier mix.
+function startingSplit(scenario, tiers, mix) {
+  if (scenario.startingByTier) return tiers.map(t => scenario.startingByTier[t.id] || 0);
+  return mix.map(f => scenario.startingPartners * f);
+}
+
+function tierChurnRate(tier, scenario) {
+  return (tier && tier.monthlyChurnPct != null ? tier.monthlyChurnPct : scenario.monthlyChurnPct) / 100;
+}
+
+// Share of steady-state order volume in a partner's Nth month (0 = month signed).
+function rampFactor(tier, tenure) {
+  const ramp = tier?.rampPcts || [];
+  return tenure < ramp.length ? ramp[tenure] / 100 : 1;
+}
+
+// Multiplier for projection month m (1-based) from a 12-month profile, aligned to the
+// calendar month the projection starts in. Missing or deleted profiles are flat.
+function seasonalMultiplier(settings, profileId, m) {
+  const profile = profileId && (settings.seasonalityProfiles || []).find(p => p.id === profileId);
+  return profile ? profile.multipliers[((settings.startMonth || 0) + m - 1) % 12] : 1;
+}
+
+// Continuous partner pool per tier. Partners still ramping or on a launch discount sit in
+// tenure buckets until both are over; starting partners are assumed to already be at steady
+// state and past any discount.
+// Each month lists its partner groups ({ tierId, key, count, tenure }); tenure is null for
+// partners at steady state.
+function projectPool(scenario, tiers, horizon, settings = {}) {
+  const mix = tierMixFractions(scenario, tiers);
+  const promoMonths = scenario.promoMonths || 0;
+  const starting = startingSplit(scenario, tiers, mix);
+  const pools = tiers.map((tier, i) => ({
+    tier, f: mix[i], churn: tierChurnRate(tier, scenario),
+    steady: starting[i], ramping: Array(Math.max((tier.rampPcts || []).length, promoMonths)).fill(0),
+  }));
+
+  const activeByMonth = [], groupsByMonth = [], signedByMonth = [];
+  for (let m = 1; m <= horizon; m++) {
+    const active = {}, groups = [];
+    let signedTotal = 0;
+    pools.forEach(pool => {
+      if (m > 1) {
+        const signed = scenario.newPartnersPerMonth * seasonalMultiplier(settings, scenario.acquisitionProfileId, m) * pool.f;
+        signedTotal += signed;
+        const keep = 1 - pool.churn;
+        if (pool.ramping.length === 0) {
+          pool.steady = pool.steady * keep + signed;
+        } else {
+          pool.steady = (pool.steady + pool.ramping[pool.ramping.length - 1]) * keep;
+          for (let k = pool.ramping.length - 1; k > 0; k--) pool.ramping[k] = pool.ramping[k - 1] * keep;
+          pool.ramping[0] = signed;
+        }
+      }
+      active[pool.tier.id] = pool.steady + pool.ramping.reduce((a, b) => a + b, 0);
+      groups.push({ tierId: pool.tier.id, key: "steady", count: pool.steady, tenure: null });
+      pool.ramping.forEach((n, k) => groups.push({ tierId: pool.tier.id, key: `ramp${k}`, count: n, tenure: k }));
+    });
+    activeByMonth.push(active);
+    groupsByMonth.push(groups);
+    signedByMonth.push(signedTotal);
+  }
+  return { activeByMonth, groupsByMonth, signedByMonth };
+}
+
+// Allocates whole signings one cafe at a time to the tier furthest behind its share of
+// all signings so far, so the cumulative tier mix tracks the scenario percentages. The
+// month's total is rounded cumulatively too, so 2.5 a month signs 2 and 3 alternately.
+function splitWhole(count, fractions, allocated, cumulativeSigned) {
+  const split = fractions.map(() => 0);
+  if (fractions.length === 0) return split;
+  const total = Math.round(cumulativeSigned + count) - allocated.reduce((a, b) => a + b, 0);
+  for (let k = 0; k < total; k++) {
+    let best = 0, bestGap = -Infinity;
+    fractions.forEach((f, i) => {
+      const gap = (cumulativeSigned + count) * f - (allocated[i] + split[i]);
+      if (gap > bestGap) { best = i; bestGap = gap; }
+    });
+    split[best]++;
+  }
+  return split;
+}
+
+// Tracks each monthly signing cohort separately. Month 1 holds the starting partners,
+// every later month signs newPartnersPerMonth. In whole-partner mode each tier's total is
+// kept at the rounded expectation, and cafes are removed from whichever cohort is furthest
+// above its expected survivors, so counts stay whole and never grow back.
+export function projectCohorts(scenario, tiers, horizon = DEFAULT_HORIZON, settings = {}) {
+  const whole = !!scenario.wholePartners;
+  const churns = tiers.map(t => tierChurnRate(t, scenario));
+  const mix = tierMixFractions(scenario, tiers);
+
+  const cohorts = [];
+  const activeByMonth = [], groupsByMonth = [], signedByMonth = [];
+  const allocated = mix.map(() => 0);
+  const starting = startingSplit(scenario, tiers, mix);
+  let cumulativeSigned = 0;
+  for (let m = 1; m <= horizon; m++) {
+    const signed = m === 1 ? starting.reduce((a, b) => a + b, 0) : scenario.newPartnersPerMonth * seasonalMultiplier(settings, scenario.acquisitionProfileId, m);
+    const split = m === 1 && scenario.startingByTier ? starting.map(n => whole ? Math.round(n) : n)
+      : whole ? splitWhole(signed, mix, allocated, cumulativeSigned) : mix.map(f => signed * f);
+    split.forEach((n, i) => { allocated[i] += n; });
+    cumulativeSigned += signed;
+    const byTier = {};
+    tiers.forEach((t, i) => { byTier[t.id] = split[i]; });
+    cohorts.push({ signedMonth: m, size: split.reduce((a, b) => a + b, 0), byTier, active: [] });
+    signedByMonth.push(m === 1 ? 0 : cohorts[m - 1].size);
+
+    const totals = {}, groups = [];
+    tiers.forEach((tier, ti) => {
+      const id = tier.id;
+      const live = cohorts.map(c => {
+        const expected = c.byTier[id] * Math.pow(1 - churns[ti], m - c.signedMonth);
+        const prev = c.signedMonth === m ? c.byTier[id] : c.active[m - 2][id];
+        return { c, expected, count: whole ? prev : expected };
+      });
+      if (whole) {
+        let toRemove = live.reduce((a, l) => a + l.count, 0) - Math.round(live.reduce((a, l) => a + l.expected, 0));
+        while (toRemove > 0) {
+          const target = live.reduce((best, l) => (l.count > 0 && (!best || l.count - l.expected > best.count - best.expected)) ? l : best, null);
+          if (!target) break;
+          target.count--;
+          toRemove--;
+        }
+      }
+      totals[id] = 0;
+      live.forEach(l => {
+        if (!l.c.active[m - 1]) l.c.active[m - 1] = {};
+        l.c.active[m - 1][id] = l.count;
+        totals[id] += l.count;
+        groups.push({ tierId: id, key: `c${l.c.signedMonth}`, count: l.count, tenure: l.c.signedMonth === 1 ? null : m - l.c.signedMonth });
+      });
+    });
+    activeByMonth.push(totals);
+    groupsByMonth.push(groups);
+  }
+
+  cohorts.forEach(c => {
+    c.active = c.active.map(a => a ? tiers.reduce((sum, t) => sum + a[t.id], 0) : null);
+  });
+  return { cohorts, activeByMonth, groupsByMonth, signedByMonth };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CHANNELS
+// ═══════════════════════════════════════════════════════════════
+// Cafe partners are the built-in channel, driven by the partner model. Other channels are
+// defined model-wide (pricing, costs, product mix) and each scenario turns them on with its
+// own volume: { [channelId]: { enabled, startUnits, growthPct } } in scenario.channels.
+export const CAFE_CHANNEL_ID = "cafe";
+
+export const CHANNEL_KINDS = [
+  { value: "distributor", label: "Distributor" },
+  { value: "dtc", label: "Direct to Consumer" },
+];
+
+// Cafes are on unless a scenario switches them off; other channels are off unless switched on.
+export function isChannelEnabled(scenario, channelId) {
+  const c = scenario.channels?.[channelId];
+  return channelId === CAFE_CHANNEL_ID ? c?.enabled !== false : !!c?.enabled;
+}
+
+// List price a channel realises per unit: a distributor buys at our wholesale price less its
+// margin, the DTC store sells at the full retail price.
+export function channelListPrice(channel, product) {
+  if (channel.kind === "dtc") return product.retailPrice ?? product.wholesale;
+  return (product.wholesalePrice ?? product.wholesale) * (1 - (channel.marginPct || 0) / 100);
+}
+
+// One channel in projection month m. Volume grows from startUnits by growthPct a month and
+// follows consumption seasonality; units are split across the channel's products by share.
+function projectChannelMonth(channel, drivers, productsById, m, season, unitsBySku) {
+  const ids = (channel.productIds || []).filter(id => productsById[id]);
+  const weights = shareFractions(channel.productShares, ids);
+  const units = Math.max(0, drivers.startUnits || 0) * Math.pow(1 + (drivers.growthPct || 0) / 100, m - 1) * season;
+  let revenue = 0, profit = 0;
+  ids.forEach((id, i) => {
+    const product = productsById[id];
+    const qty = units * weights[i];
+    unitsBySku[id] = (unitsBySku[id] || 0) + qty;
+    const price = channelListPrice(channel, product) * escalationFactor(product, "price", m);
+    revenue += qty * price;
+    profit += qty * (price - product.cogs * escalationFactor(product, "cogs", m));
+  });
+  const cost = (ids.length > 0 ? units * (channel.costPerUnit || 0) : 0) + (channel.fixedMonthly || 0);
+  return { revenue, profit, cost };
+}
+
+// settings holds model-wide inputs shared by every scenario (calendar start month,
+// seasonality profiles, operating costs, order rounding, channels).
+export function projectScenario(scenario, tiers, bulkProducts, retailProducts, horizon = DEFAULT_HORIZON, settings = {}) {
+  const tierEcon = {}, tierById = {};
+  tiers.forEach(t => {
+    tierEcon[t.id] = calcTierEconomics(t, bulkProducts, retailProducts);
+    tierById[t.id] = t;
+  });
+
+  const retailAttach = scenario.retailAttachPct / 100;
+  // Launch discount off the unit price for each partner's first promoMonths months
+  const promoKeep = 1 - (scenario.promoPct || 0) / 100;
+  const promoMonths = scenario.promoMonths || 0;
+
+  const opex = settings.opex || NO_OPEX;
+  const fixedOpex = (opex.fixedLines || []).reduce((sum, l) => sum + l.monthly, 0);
+
+  // Leftover stock depends on when each partner signed, so carrying it needs cohort tracking
+  const rounding = settings.orderRounding || "fractional";
+  const cafes = isChannelEnabled(scenario, CAFE_CHANNEL_ID);
+  const { activeByMonth, groupsByMonth, signedByMonth } = !cafes
+    ? { activeByMonth: Array.from({ length: horizon }, () => Object.fromEntries(tiers.map(t => [t.id, 0]))),
+        groupsByMonth: Array.from({ length: horizon }, () => []), signedByMonth: Array(horizon).fill(0) }
+    : scenario.cohortModel || rounding === "carry"
+      ? projectCohorts(scenario.cohortModel ? scenario : { ...scenario, wholePartners: false }, tiers, horizon, settings)
+      : projectPool(scenario, tiers, horizon, settings);
+
+  const productsById = {};
+  [...bulkProducts, ...retailProducts].forEach(p => { productsById[p.id] = p; });
+  const channels = (settings.channels || []).filter(c => isChannelEnabled(scenario, c.id));
+
+  // Carry mode: units each partner still holds, keyed by group, tier and product
+  const stock = {};
+  const partnerOrder = (need, product, stockKey) => {
+    if (rounding === "roundUp") return orderQuantity(need, product);
+    if (rounding !== "carry") return need;
+    const held = stock[stockKey] || 0;
+    const order = need > held ? orderQuantity(need - held, product) : 0;
+    stock[stockKey] = held + order - need;
+    return order;
+  };
+
+  const months = [];
+  let cumulativeRev = 0, cumulativeProfit = 0, cumulativeEbitda = 0;
+
+  for (let m = 1; m <= horizon; m++) {
+    const counts = activeByMonth[m - 1];
+    const season = seasonalMultiplier(settings, scenario.consumptionProfileId, m);
+    const totalActive = tiers.reduce((a, t) => a + counts[t.id], 0);
+
+    let bulkRev = 0, bulkProfit = 0, retailRev = 0, retailProfit = 0, bags = 0, pouches = 0;
+    // Units shipped per product across every channel, for production planning
+    const unitsBySku = {};
+    const activeByTier = {};
+    tiers.forEach(t => { activeByTier[t.id] = Math.round(counts[t.id] * 100) / 100; });
+    groupsByMonth[m - 1].forEach(g => {
+      if (g.count <= 0) return;
+      const econ = tierEcon[g.tierId];
+      // Ramping partners need a fraction of steady-state volume, so revenue follows volume, not headcount
+      const factor = (g.tenure === null ? 1 : rampFactor(tierById[g.tierId], g.tenure)) * season;
+      const discount = g.tenure !== null && g.tenure < promoMonths ? promoKeep : 1;
+      // Price breaks apply to each partner's own order, before it is scaled by the group size
+      econ.bulkBreakdown.forEach(b => {
+        const order = partnerOrder(b.need * factor, b.product, `${g.key}|${g.tierId}|${b.id}`);
+        const price = unitPrice(b.product.priceBreaks, b.product.wholesale, order) * escalationFactor(b.product, "price", m) * discount;
+        const qty = g.count * order;
+        bags += qty;
+        unitsBySku[b.id] = (unitsBySku[b.id] || 0) + qty;
+        bulkRev += qty * price;
+        bulkProfit += qty * (price - b.product.cogs * escalationFactor(b.product, "cogs", m));
+      });
+      // Retail attach rate from scenario: % of bulk partners who also stock retail
+      econ.retailBreakdown.forEach(r => {
+        const order = partnerOrder(r.need * factor, r.product, `${g.key}|${g.tierId}|${r.id}`);
+        const price = unitPrice(r.product.priceBreaks, r.product.wholesalePrice, order) * escalationFactor(r.product, "price", m) * discount;
+        const qty = g.count * retailAttach * order;
+        pouches += qty;
+        unitsBySku[r.id] = (unitsBySku[r.id] || 0) + qty;
+        retailRev += qty * price;
+        retailProfit += qty * (price - r.product.cogs * escalationFactor(r.product, "cogs", m));
+      });
+    });
+
+    const channelRevenue = { [CAFE_CHANNEL_ID]: bulkRev + retailRev };
+    const channelProfit = { [CAFE_CHANNEL_ID]: bulkProfit + retailProfit };
+    let channelCost = 0;
+    channels.forEach(c => {
+      const r = projectChannelMonth(c, scenario.channels[c.id], productsById, m, season, unitsBySku);
+      channelRevenue[c.id] = r.revenue;
+      channelProfit[c.id] = r.profit;
+      channelCost += r.cost;
+    });
+
+    const totalRev = Object.values(channelRevenue).reduce((a, b) => a + b, 0);
+    const totalProfit = Object.values(channelProfit).reduce((a, b) => a + b, 0);
+    cumulativeRev += totalRev;
+    cumulativeProfit += totalProfit;
+
+    // Contribution is gross profit after the costs that scale with partners and volume
+    // (plus channel fulfilment and fees); EBITDA then takes out fixed overhead. Starting
+    // partners carry no acquisition cost.
+    const newPartners = signedByMonth[m - 1];
+    const shippingCost = bags * opex.shippingPerBag + pouches * opex.shippingPerPouch;
+    const accountMgmtCost = totalActive * opex.accountMgmtPerPartner;
+    const acquisitionCost = newPartners * opex.cacPerPartner;
+    const contribution = totalProfit - shippingCost - accountMgmtCost - acquisitionCost - channelCost;
+    const ebitda = contribution - fixedOpex;
+    cumulativeEbitda += ebitda;
+
+    months.push({
+      month: m, label: `M${m}`, calendarMonth: MONTH_NAMES[((settings.startMonth || 0) + m - 1) % 12],
+      totalActive: Math.round(totalActive * 100) / 100, activeByTier, unitsBySku,
+      bulkRevenue: Math.round(bulkRev), retailRevenue: Math.round(retailRev),
+      channelRevenue: roundValues(channelRevenue), channelProfit: roundValues(channelProfit),
+      totalRevenue: Math.round(totalRev), bulkProfit: Math.round(bulkProfit),
+      retailProfit: Math.round(retailProfit), totalProfit: Math.round(totalProfit),
+      marginPct: totalRev > 0 ? Math.round((totalProfit / totalRev) * 1000) / 10 : 0,
+      cumulativeRev: Math.round(cumulativeRev), cumulativeProfit: Math.round(cumulativeProfit),
+      newPartners: Math.round(newPartners * 100) / 100,
+      shippingCost: Math.round(shippingCost), accountMgmtCost: Math.round(accountMgmtCost),
+      acquisitionCost: Math.round(acquisitionCost), channelCost: Math.round(channelCost), fixedOpex: Math.round(fixedOpex),
+      contribution: Math.round(contribution), ebitda: Math.round(ebitda),
+      cumulativeEbitda: Math.round(cumulativeEbitda), cumulativeBurn: Math.round(Math.max(0, -cumulativeEbitda)),
+    });
+  }
+  return months;
+}
+
+// First month with non-negative EBITDA, and the month cumulative EBITDA has recovered
+// everything burned before it for good. null when the horizon ends first.
+export function calcBreakEven(months) {
+  const monthly = months.find(d => d.ebitda >= 0);
+  const lastNegative = months.reduce((last, d) => d.cumulativeEbitda < 0 ? d.month : last, 0);
+  return {
+    month: monthly?.month ?? null,
+    cumulativeMonth: lastNegative < months.length ? lastNegative + 1 : null,
+  };
+}
+
+const MAX_PAYBACK_MONTHS = 120;
+
+// Unit economics of one new partner in a tier: monthly contribution (gross profit less
+// shipping and account management, ramp- and launch-discount-adjusted), months to recover
+// acquisition cost, and lifetime contribution discounted by the tier's survival curve.
+function calcPartnerEconomics(tier, econ, scenario, opex) {
+  const attach = scenario.retailAttachPct / 100;
+  const volumeRevenue = econ.bulkRev + econ.retailRev * attach;
+  const volumeMargin = econ.bulkProfit + econ.retailProfit * attach
+    - econ.bags * opex.shippingPerBag - econ.retailUnits * attach * opex.shippingPerPouch;
+  const promoMonths = scenario.promoMonths || 0;
+  const promo = (scenario.promoPct || 0) / 100;
+  const contributionAt = (t) => (volumeMargin - (t < promoMonths ? volumeRevenue * promo : 0)) * rampFactor(tier, t) - opex.accountMgmtPerPartner;
+  const steadyContribution = contributionAt(Infinity);
+
+  let payback = null;
+  if (opex.cacPerPartner <= 0) payback = 0;
+  else {
+    let cum = 0;
+    for (let t = 0; t < MAX_PAYBACK_MONTHS; t++) {
+      cum += contributionAt(t);
+      if (cum >= opex.cacPerPartner) { payback = t + 1; break; }
+    }
+  }
+
+  const churn = tierChurnRate(tier, scenario);
+  const keep = 1 - churn;
+  const rampMonths = Math.max((tier.rampPcts || []).length, promoMonths);
+  let ltv = 0;
+  for (let t = 0; t < rampMonths; t++) ltv += contributionAt(t) * Math.pow(keep, t);
+  if (churn > 0) ltv += steadyContribution * Math.pow(keep, rampMonths) / churn;
+  else if (steadyContribution !== 0) ltv = steadyContribution > 0 ? Infinity : -Infinity;
+
+  return { steadyContribution, payback, ltv };
+}
+
+// Per-tier payback and LTV for a scenario, plus tier-mix weighted blends.
+export function calcScenarioUnitEconomics(scenario, tiers, bulkProducts, retailProducts, settings = {}) {
+  const opex = settings.opex || NO_OPEX;
+  const mix = tierMixFractions(scenario, tiers);
+  const byTier = tiers.map((tier, i) => {
+    const econ = calcTierEconomics(tier, bulkProducts, retailProducts, settings.orderRounding);
+    return { id: tier.id, label: tier.label, weight: mix[i], ...calcPartnerEconomics(tier, econ, scenario, opex) };
+  });
+
+  const weighted = byTier.filter(t => t.weight > 0);
+  const totalWeight = weighted.reduce((a, t) => a + t.weight, 0);
+  const blend = (key) => totalWeight > 0 ? weighted.reduce((a, t) => a + t[key] * t.weight, 0) / totalWeight : 0;
+  return {
+    byTier,
+    payback: weighted.some(t => t.payback === null) ? null : blend("payback"),
+    ltv: blend("ltv"),
+    cac: opex.cacPerPartner,
+  };
+}
+
+// Sums a monthly projection into 12-month buckets (Year 1, Year 2, ...).
+export function calcAnnualRollups(months) {
+  const years = [];
+  months.forEach(d => {
+    const idx = Math.floor((d.month - 1) / 12);
+    if (!years[idx]) years[idx] = { year: idx + 1, label: `Year ${idx + 1}`, revenue: 0, profit: 0, ebitda: 0, endPartners: 0 };
+    years[idx].revenue += d.totalRevenue;
+    years[idx].profit += d.totalProfit;
+    years[idx].ebitda += d.ebitda;
+    years[idx].endPartners = d.totalActive;
+  });
+  return years;
+}
@@ -0,0 +1,292 @@
+import { HORIZON_OPTIONS, ORDER_ROUNDING_MODES, CHANNEL_KINDS, roundShares } from "./engine";
+import { SIM_DISTRIBUTIONS } from "./simulation";
+
+// ═══════════════════════════════════════════════════════════════
+// PRESET FORMAT
+// ═══════════════════════════════════════════════════════════════
+// A preset is { name, savedAt, version, data } where data is what the dashboard's
+// getPresetData() returns. Files without a version predate versioning and count as 1.
+// Bump PRESET_VERSION whenever data changes shape, and add a migration from the old version.
+export const PRESET_VERSION = 2;
+
+// ═══════════════════════════════════════════════════════════════
+// MIGRATIONS
+// ═══════════════════════════════════════════════════════════════
+// Presets saved before mixes were keyed by tier id hold pctSmall / pctMedium / pctLarge,
+// which applied to the first three tiers in order.
+export function withTierMix(scenario, tiers) {
+  if (scenario.tierMix) return scenario;
+  const { pctSmall = 0, pctMedium = 0, pctLarge = 0, ...rest } = scenario;
+  const legacy = {};
+  [pctSmall, pctMedium, pctLarge].forEach((v, i) => { if (tiers[i]) legacy[tiers[i].id] = v; });
+  return { ...rest, tierMix: roundShares(legacy, tiers.map(t => t.id)) };
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const mapList = (list, fn) => Array.isArray(list) ? list.map(x => isObject(x) ? fn(x) : x) : list;
+
+// MIGRATIONS[v] turns version v data into version v + 1. `context.tiers` stands in for
+// presets that carry scenarios but no tiers.
+const MIGRATIONS = {
+  // Unversioned presets: fill in fields added since the first release
+  1: (data, context) => {
+    const tiers = Array.isArray(data.tiers) ? data.tiers.filter(isObject) : context.tiers || [];
+    const product = (p) => ({ moq: 1, casePack: 1, priceBreaks: [], escalations: [], ...p });
+    return {
+      ...data,
+      bulkProducts: mapList(data.bulkProducts, product),
+      retailProducts: mapList(data.retailProducts, product),
+      tiers: mapList(data.tiers, t => ({ monthlyChurnPct: null, rampPcts: [], ...t })),
+      scenarios: mapList(data.scenarios, s => ({
+        promoPct: 0, promoMonths: 0, cohortModel: false, wholePartners: false,
+        consumptionProfileId: null, acquisitionProfileId: null,
+        ...withTierMix(s, tiers),
+      })),
+    };
+  },
+};
+
+export function migratePresetData(data, version, context = {}) {
+  let migrated = data;
+  for (let v = version; v < PRESET_VERSION; v++) migrated = MIGRATIONS[v](migrated, context);
+  return migrated;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════════
+// Each check takes (value, path, errors) and returns the checked value, or INVALID after
+// pushing a { path, message } error. Object checks drop keys the schema doesn't know, so
+// nothing unchecked reaches the model.
+const INVALID = Symbol("invalid");
+const fail = (errors, path, message) => { errors.push({ path, message }); return INVALID; };
+
+const range = (min, max) => min > -Infinity && max < Infinity ? `between ${min} and ${max}`
+  : min > -Infinity ? `at least ${min}` : `at most ${max}`;
+
+const num = (min = -Infinity, max = Infinity) => (v, path, errors) => {
+  if (typeof v !== "number" || !Number.isFinite(v)) return fail(errors, path, "must be a number");
+  if (v < min || v > max) return fail(errors, path, `must be ${range(min, max)}`);
+  return v;
+};
+const int = (min = -Infinity, max = Infinity) => (v, path, errors) => {
+  if (!Number.isInteger(v)) return fail(errors, path, "must be a whole number");
+  return num(min, max)(v, path, errors);
+};
+const str = () => (v, path, errors) => typeof v === "string" ? v : fail(errors, path, "must be text");
+const bool = () => (v, path, errors) => typeof v === "boolean" ? v : fail(errors, path, "must be true or false");
+const oneOf = (values) => (v, path, errors) => values.includes(v) ? v : fail(errors, path, `must be one of ${values.join(", ")}`);
+const nullable = (check) => (v, path, errors) => v === null ? null : check(v, path, errors);
+const optional = (check) => Object.assign((v, path, errors) => check(v, path, errors), { optional: true });
+
+const arrayOf = (item, { length } = {}) => (v, path, errors) => {
+  if (!Array.isArray(v)) return fail(errors, path, "must be a list");
+  if (length !== undefined && v.length !== length) return fail(errors, path, `must have ${length} entries`);
+  const out = v.map((x, i) => item(x, `${path}[${i}]`, errors));
+  return out.includes(INVALID) ? INVALID : out;
+};
+const record = (item) => (v, path, errors) => {
+  if (!isObject(v)) return fail(errors, path, "must be an object");
+  const out = {};
+  Object.entries(v).forEach(([k, x]) => { out[k] = item(x, `${path}.${k}`, errors); });
+  return Object.values(out).includes(INVALID) ? INVALID : out;
+};
+const shape = (fields) => (v, path, errors) => {
+  if (!isObject(v)) return fail(errors, path, "must be an object");
+  const out = {};
+  let ok = true;
+  Object.entries(fields).forEach(([k, check]) => {
+    const p = path ? `${path}.${k}` : k;
+    if (v[k] === undefined) {
+      if (!check.optional) { fail(errors, p, "is missing"); ok = false; }
+      return;
+    }
+    const r = check(v[k], p, errors);
+    if (r === INVALID) ok = false; else out[k] = r;
+  });
+  return ok ? out : INVALID;
+};
+
+const money = () => num(0);
+const percent = () => num(0, 100);
+const shares = () => record(num(0));
+
+const productFields = {
+  id: str(), name: str(), cogs: money(),
+  moq: optional(num(0)), casePack: optional(num(0)),
+  priceBreaks: optional(arrayOf(shape({ minQty: num(0), price: money() }))),
+  escalations: optional(arrayOf(shape({ id: optional(str()), target: oneOf(["price", "cogs"]), pct: num(-100), startMonth: int(1), everyMonths: int(0) }))),
+  sizeLbs: optional(num(0)), batchSize: optional(num(0)), leadTimeMonths: optional(int(0, 24)), safetyStockMonths: optional(num(0, 24)),
+};
+
+const PRESET_SCHEMA = shape({
+  bulkProducts: optional(arrayOf(shape({ ...productFields, sizeLbs: num(0), servings: num(0), wholesale: money() }))),
+  retailProducts: optional(arrayOf(shape({ ...productFields, retailPrice: optional(money()), wholesalePrice: money() }))),
+  tiers: optional(arrayOf(shape({
+    id: str(), label: str(),
+    bulkProductIds: arrayOf(str()), retailProductIds: arrayOf(str()),
+    bulkShares: optional(shares()), retailShares: optional(shares()),
+    drinksPerDay: num(0), tspPerDrink: num(0), daysPerMonth: num(0, 31), retailUnitsPerMonth: num(0),
+    monthlyChurnPct: nullable(percent()), rampPcts: arrayOf(percent()),
+  }))),
+  scenarios: optional(arrayOf(shape({
+    name: str(), color: str(),
+    startingPartners: num(0), newPartnersPerMonth: num(0), tierMix: shares(),
+    monthlyChurnPct: percent(), retailAttachPct: percent(), promoPct: percent(), promoMonths: int(0),
+    cohortModel: bool(), wholePartners: bool(),
+    consumptionProfileId: nullable(str()), acquisitionProfileId: nullable(str()),
+    channels: optional(record(shape({ enabled: optional(bool()), startUnits: optional(num(0)), growthPct: optional(num(-100)) }))),
+  }))),
+  horizon: optional(oneOf(HORIZON_OPTIONS)),
+  startMonth: optional(int(0, 11)),
+  seasonalityProfiles: optional(arrayOf(shape({ id: str(), name: str(), multipliers: arrayOf(num(0), { length: 12 }) }))),
+  opex: optional(shape({
+    fixedLines: arrayOf(shape({ id: str(), name: str(), monthly: money() })),
+    cacPerPartner: money(), accountMgmtPerPartner: money(), shippingPerBag: money(), shippingPerPouch: money(),
+  })),
+  orderRounding: optional(oneOf(ORDER_ROUNDING_MODES.map(r => r.value))),
+  channels: optional(arrayOf(shape({
+    id: str(), name: str(), kind: oneOf(CHANNEL_KINDS.map(k => k.value)),
+    marginPct: percent(), costPerUnit: money(), fixedMonthly: money(),
+    productIds: arrayOf(str()), productShares: optional(shares()),
+  }))),
+  cashFlow: optional(shape({ startingCash: num(), receivableDays: num(0, 365), payableDays: num(0, 365) })),
+  actuals: optional(shape({
+    rows: arrayOf(shape({
+      month: int(1), partnersByTier: record(num(0)), partners: nullable(num(0)),
+      bagsBySku: record(num(0)), bags: nullable(num(0)), pouches: nullable(num(0)), revenue: nullable(num(0)),
+    })),
+    scenarioIdx: optional(int(0)), reforecast: optional(bool()),
+    partnerLog: optional(arrayOf(shape({ name: str(), tierId: nullable(str()), signed: int(), churned: nullable(int()), retail: nullable(bool()) }))),
+  })),
+  // Loaded on top of the default simulation settings, so any part may be left out
+  simulation: optional(shape({
+    enabled: optional(bool()), scenarioIdx: optional(int(0)), iterations: optional(int(1, 10000)), seed: optional(int()),
+    targetRevenue: optional(num()), targetMonth: optional(int(1)),
+    ranges: optional(record(shape({ dist: oneOf(SIM_DISTRIBUTIONS.map(d => d.value)), low: num(), high: num(), sd: num(0) }))),
+  })),
+});
+
+const MODEL_KEYS = ["bulkProducts", "retailProducts", "tiers", "scenarios"];
+
+// Checks preset data against the schema. Returns { data, errors }; data is null when
+// anything fails, so a bad file never reaches the model.
+export function validatePresetData(data) {
+  const errors = [];
+  if (!isObject(data) || !MODEL_KEYS.some(k => k in data)) {
+    return { data: null, errors: [{ path: "data", message: `must include at least one of ${MODEL_KEYS.join(", ")}` }] };
+  }
+  const checked = PRESET_SCHEMA(data, "", errors);
+  return { data: checked === INVALID ? null : checked, errors };
+}
+
+// Migrates and validates a preset read from a file or storage. Returns { preset, errors };
+// preset is null if it can't be used.
+export function readPreset(parsed, context = {}) {
+  if (!isObject(parsed) || !isObject(parsed.data)) return { preset: null, errors: [{ path: "", message: "Not a preset file" }] };
+  const version = parsed.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) return { preset: null, errors: [{ path: "version", message: "must be a whole number" }] };
+  if (version > PRESET_VERSION) {
+    return { preset: null, errors: [{ path: "version", message: `was saved by a newer version of the dashboard (v${version}, this is v${PRESET_VERSION})` }] };
+  }
+  const { data, errors } = validatePresetData(migratePresetData(parsed.data, version, context));
+  if (!data) return { preset: null, errors };
+  return {
+    preset: { name: typeof parsed.name === "string" ? parsed.name : "", savedAt: typeof parsed.savedAt === "string" ? parsed.savedAt : new Date().toISOString(), version: PRESET_VERSION, data },
+    errors,
+  };
+}
+
+export const formatPresetError = (e) => e.path ? `${e.path} ${e.message}` : e.message;
+
+// ═══════════════════════════════════════════════════════════════
+// SHARE LINKS
+// ═══════════════════════════════════════════════════════════════
+// A share link carries a whole preset in the URL hash as #model=<deflated JSON, base64url>,
+// so nothing has to be uploaded anywhere. `section` is the tab to open on.
+const LINK_PARAM = "model";
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const fromBase64Url = (text) => {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+};
+const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+export async function encodePresetLink(data, section, baseUrl) {
+  const json = JSON.stringify({ version: PRESET_VERSION, section, data });
+  const packed = await pipe(new TextEncoder().encode(json), new CompressionStream("deflate"));
+  return `${baseUrl.split("#")[0]}#${LINK_PARAM}=${toBase64Url(packed)}`;
+}
+
+// Reads a share link from a location hash. Returns null when the hash holds no link, otherwise
+// { preset, section, errors } with preset null if the link is damaged or fails validation.
+export async function readPresetLink(hash, context = {}) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, "")).get(LINK_PARAM);
+  if (!encoded) return null;
+  let parsed;
+  try {
+    const bytes = await pipe(fromBase64Url(encoded), new DecompressionStream("deflate"));
+    parsed = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return { preset: null, section: null, errors: [{ path: "", message: "The link is incomplete or damaged" }] };
+  }
+  const { preset, errors } = readPreset(parsed, context);
+  return { preset, section: typeof parsed.section === "string" ? parsed.section : null, errors };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SERVER STORAGE
+// ═══════════════════════════════════════════════════════════════
+// Client for the optional shared preset API in server/index.js. It is served next to the app
+// by default; set VITE_PRESET_API at build time to use one on another origin. Without a
+// server everything stays in localStorage.
+const PRESET_API = (import.meta.env?.VITE_PRESET_API || "/api").replace(/\/$/, "");
+
+// Write token for a server started with PRESET_TOKEN, kept in this browser once entered
+const TOKEN_KEY = "ritual-powders-preset-token";
+
+export const presetToken = {
+  get: () => {
+    try { return localStorage.getItem(TOKEN_KEY) || ""; }
+    catch { return ""; }
+  },
+  set: (token) => {
+    try { token ? localStorage.setItem(TOKEN_KEY, token) : localStorage.removeItem(TOKEN_KEY); }
+    catch { /* storage unavailable: writes go without a token */ }
+  },
+};
+
+const writeHeaders = () => {
+  const token = presetToken.get();
+  return token ? { Authorization: `Bearer ${token}` } : undefined;
+};
+
+// Failed requests throw an Error carrying the HTTP status, so callers can spot a 401
+async function request(path, options = {}) {
+  // Only requests with a body say it's JSON; a bare GET stays a "simple" request with no CORS preflight
+  const headers = options.body === undefined ? options.headers : { "Content-Type": "application/json", ...options.headers };
+  const res = await fetch(`${PRESET_API}${path}`, { ...options, headers });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    throw Object.assign(new Error(body?.error || `The preset server replied ${res.status}`), { status: res.status });
+  }
+  return res.status === 204 ? null : res.json();
+}
+
+// Static hosts (and the Vite dev server) answer unknown paths with index.html, so only a
+// JSON { ok: true } counts as a preset server.
+export async function presetServerAvailable() {
+  try { return (await request("/health")).ok === true; }
+  catch { return false; }
+}
+
+export const serverPresetStore = {
+  list: () => request("/presets"),
+  save: (preset) => request(`/presets/${encodeURIComponent(preset.name)}`, { method: "PUT", body: JSON.stringify(preset), headers: writeHeaders() }),
+  remove: (name) => request(`/presets/${encodeURIComponent(name)}`, { method: "DELETE", headers: writeHeaders() }),
+};
@@ -0,0 +1,72 @@
+import { escalationFactor } from "./engine";
+
+// ═══════════════════════════════════════════════════════════════
+// INVENTORY PARAMETERS
+// ═══════════════════════════════════════════════════════════════
+// Each product carries its own batchSize (units per production run), leadTimeMonths (months
+// from starting a batch to having it on the shelf) and safetyStockMonths (months of the
+// following month's demand to keep on hand). Products saved before these existed fall back
+// to making exactly what is needed, with no lead time or buffer.
+export function inventoryParams(product) {
+  return {
+    batchSize: product.batchSize > 0 ? product.batchSize : 0,
+    leadTimeMonths: Math.max(0, Math.round(product.leadTimeMonths || 0)),
+    safetyStockMonths: Math.max(0, product.safetyStockMonths || 0),
+    sizeLbs: Math.max(0, product.sizeLbs || 0),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PRODUCTION PLAN
+// ═══════════════════════════════════════════════════════════════
+// Turns projected monthly shipments (projectScenario's unitsBySku) into a batch schedule per
+// SKU. Stock starts at zero; whenever a month would end below its safety stock, enough whole
+// batches arrive that month to cover the gap, started leadTimeMonths earlier. Batches that
+// would have to start before M1 are flagged as late. Inventory is valued at (escalated) COGS.
+export function planProduction(months, bulkProducts, retailProducts) {
+  const products = [
+    ...bulkProducts.map(p => ({ product: p, kind: "bulk" })),
+    ...retailProducts.map(p => ({ product: p, kind: "retail" })),
+  ];
+  const horizon = months.length;
+
+  const skus = products.map(({ product, kind }) => {
+    const params = inventoryParams(product);
+    const demand = months.map(d => d.unitsBySku?.[product.id] || 0);
+    const safety = demand.map((_, i) => params.safetyStockMonths * (demand[i + 1] ?? demand[i]));
+    const receipts = Array(horizon).fill(0);
+    const orders = [];
+
+    let onHand = 0;
+    const rows = demand.map((units, i) => {
+      const shortfall = safety[i] - (onHand - units);
+      if (shortfall > 1e-9) {
+        const batches = params.batchSize > 0 ? Math.ceil(shortfall / params.batchSize - 1e-9) : 1;
+        const qty = params.batchSize > 0 ? batches * params.batchSize : shortfall;
+        receipts[i] = qty;
+        const start = i + 1 - params.leadTimeMonths;
+        orders.push({
+          startMonth: start, readyMonth: i + 1, late: start < 1, batches: params.batchSize > 0 ? batches : null,
+          units: qty, lbs: qty * params.sizeLbs, cost: qty * product.cogs * escalationFactor(product, "cogs", Math.max(1, start)),
+        });
+      }
+      onHand += receipts[i] - units;
+      return {
+        month: i + 1, demand: units, lbs: units * params.sizeLbs, received: receipts[i],
+        onHand, safetyStock: safety[i], value: onHand * product.cogs * escalationFactor(product, "cogs", i + 1),
+      };
+    });
+
+    return { id: product.id, name: product.name, kind, params, rows, orders };
+  });
+
+  const totals = months.map((d, i) => ({
+    month: d.month, label: d.label,
+    demandLbs: skus.reduce((a, s) => a + s.rows[i].lbs, 0),
+    producedLbs: skus.reduce((a, s) => a + s.rows[i].received * s.params.sizeLbs, 0),
+    inventoryValue: skus.reduce((a, s) => a + s.rows[i].value, 0),
+    lbsBySku: Object.fromEntries(skus.map(s => [s.id, s.rows[i].lbs])),
+  }));
+
+  return { skus, totals };
+}
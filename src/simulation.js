@@ -0,0 +1,121 @@
+import { projectScenario } from "./engine";
+
+// ═══════════════════════════════════════════════════════════════
+// MONTE CARLO SIMULATION
+// ═══════════════════════════════════════════════════════════════
+// Scenario drivers that can be sampled. Scenario-level drivers are sampled as absolute
+// values; drinksPerDay is sampled as a percentage change applied to every tier.
+export const SIM_DRIVERS = [
+  { key: "newPartnersPerMonth", label: "New Partners / Month", scope: "scenario", min: 0, max: 50 },
+  { key: "monthlyChurnPct", label: "Monthly Churn %", scope: "scenario", min: 0, max: 100 },
+  { key: "retailAttachPct", label: "% Stocking Retail", scope: "scenario", min: 0, max: 100 },
+  { key: "drinksPerDay", label: "Drinks / Day (% change)", scope: "tier", min: -100, max: 500 },
+];
+
+export const SIM_DISTRIBUTIONS = [
+  { value: "none", label: "Fixed" },
+  { value: "uniform", label: "Uniform" },
+  { value: "triangular", label: "Triangular" },
+  { value: "normal", label: "Normal" },
+];
+
+export const SIM_METRICS = ["totalRevenue", "totalProfit", "ebitda", "totalActive", "cumulativeRev"];
+
+export const DEFAULT_SIMULATION = {
+  enabled: false,
+  scenarioIdx: 0,
+  iterations: 2000,
+  seed: 42,
+  targetRevenue: 10000,
+  targetMonth: 12,
+  ranges: {
+    newPartnersPerMonth: { dist: "triangular", low: 1, high: 4, sd: 1 },
+    monthlyChurnPct: { dist: "uniform", low: 1, high: 4, sd: 1 },
+    retailAttachPct: { dist: "normal", low: 30, high: 70, sd: 10 },
+    drinksPerDay: { dist: "normal", low: -20, high: 20, sd: 10 },
+  },
+};
+
+// Mulberry32: small, fast, seedable PRNG so a given seed always reproduces the same run.
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Draws one value. `base` is the deterministic scenario value: the mode of a triangular
+// distribution and the mean of a normal one.
+function sample(range, base, rng) {
+  if (!range || range.dist === "none") return base;
+  const low = Math.min(range.low, range.high);
+  const high = Math.max(range.low, range.high);
+  if (range.dist === "uniform") return low + (high - low) * rng();
+  if (range.dist === "triangular") {
+    const mode = Math.min(high, Math.max(low, base));
+    if (high === low) return low;
+    const u = rng();
+    const c = (mode - low) / (high - low);
+    return u < c
+      ? low + Math.sqrt(u * (high - low) * (mode - low))
+      : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+  }
+  if (range.dist === "normal") {
+    // Box-Muller
+    const u1 = Math.max(rng(), 1e-12);
+    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * rng());
+    return base + z * (range.sd || 0);
+  }
+  return base;
+}
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// Runs `iterations` seeded projections of one scenario with sampled drivers and returns
+// P10/P50/P90 per month for each metric in SIM_METRICS, plus the probability of monthly
+// revenue at targetMonth reaching targetRevenue.
+export function runSimulation({ scenario, tiers, bulkProducts, retailProducts, horizon, settings, config }) {
+  const rng = createRng(config.seed);
+  const iterations = Math.max(1, Math.round(config.iterations));
+  const ranges = config.ranges || {};
+  const targetIdx = Math.min(horizon, Math.max(1, config.targetMonth)) - 1;
+
+  const series = {};
+  SIM_METRICS.forEach(k => { series[k] = Array.from({ length: horizon }, () => new Float64Array(iterations)); });
+  let hits = 0;
+
+  for (let it = 0; it < iterations; it++) {
+    const sampled = { ...scenario };
+    SIM_DRIVERS.filter(d => d.scope === "scenario").forEach(d => {
+      sampled[d.key] = clamp(sample(ranges[d.key], scenario[d.key], rng), d.min, d.max);
+    });
+    const drinksChange = clamp(sample(ranges.drinksPerDay, 0, rng), -100, 500) / 100;
+    const sampledTiers = drinksChange === 0 ? tiers : tiers.map(t => ({ ...t, drinksPerDay: t.drinksPerDay * (1 + drinksChange) }));
+
+    const months = projectScenario(sampled, sampledTiers, bulkProducts, retailProducts, horizon, settings);
+    months.forEach((d, m) => { SIM_METRICS.forEach(k => { series[k][m][it] = d[k]; }); });
+    if (months[targetIdx]?.totalRevenue >= config.targetRevenue) hits++;
+  }
+
+  const bands = {};
+  SIM_METRICS.forEach(k => {
+    bands[k] = series[k].map((values, m) => {
+      const sorted = Array.from(values).sort((a, b) => a - b);
+      return { month: m + 1, p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) };
+    });
+  });
+
+  return { bands, probability: hits / iterations, iterations, targetMonth: targetIdx + 1 };
+}
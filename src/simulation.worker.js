@@ -0,0 +1,12 @@
+import { runSimulation } from "./simulation";
+
+// Runs Monte Carlo batches off the main thread so sliders stay responsive.
+// Each request carries an id; the reply echoes it so stale results can be dropped.
+self.onmessage = (e) => {
+  const { id, params } = e.data;
+  try {
+    self.postMessage({ id, result: runSimulation(params) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};